@@ -0,0 +1,244 @@
+// Parses and validates Electron accelerator strings such as
+// "CmdOrCtrl+Shift+K", and matches keyboard input from a window's
+// before-input-event against them for shortcuts that only apply while one of
+// the app's windows has focus. A shortcut is either one accelerator or a
+// chord of accelerators pressed one after the other, separated by spaces:
+// "Ctrl+K Ctrl+T".
+
+const MODIFIERS = {
+  ctrl: 'control',
+  control: 'control',
+  cmd: 'meta',
+  command: 'meta',
+  super: 'meta',
+  meta: 'meta',
+  alt: 'alt',
+  option: 'alt',
+  altgr: 'alt',
+  shift: 'shift'
+};
+
+// Accelerator key names whose KeyboardEvent.key differs
+const KEY_NAMES = {
+  plus: '+',
+  space: ' ',
+  esc: 'escape',
+  return: 'enter',
+  up: 'arrowup',
+  down: 'arrowdown',
+  left: 'arrowleft',
+  right: 'arrowright',
+  volumeup: 'audiovolumeup',
+  volumedown: 'audiovolumedown',
+  volumemute: 'audiovolumemute',
+  medianexttrack: 'mediatracknext',
+  mediaprevioustrack: 'mediatrackprevious'
+};
+
+// Number pad keys, matched by KeyboardEvent.code
+const NUMPAD_CODES = {
+  numdec: 'NumpadDecimal',
+  numadd: 'NumpadAdd',
+  numsub: 'NumpadSubtract',
+  nummult: 'NumpadMultiply',
+  numdiv: 'NumpadDivide'
+};
+
+// Every other key name Electron accepts, besides letters, digits, F1-F24,
+// num0-num9 and single punctuation characters
+const NAMED_KEYS = [
+  'tab', 'capslock', 'numlock', 'scrolllock', 'backspace', 'delete', 'insert', 'enter',
+  'home', 'end', 'pageup', 'pagedown', 'escape', 'mediastop', 'mediaplaypause', 'printscreen'
+];
+
+// Longest chord a shortcut can be
+const MAX_CHORD_STEPS = 2;
+
+const PUNCTUATION = ')!@#$%^&*(:;=<,_->.?/~`{][|\\}"\'';
+
+// Keys that can make up a shortcut alone; any other key needs a modifier, so
+// shortcuts never take over typing
+function isStandaloneKey(key) {
+  return /^f([1-9]|1[0-9]|2[0-4])$/.test(key) || /^(volume|media)/.test(key);
+}
+
+function isValidKey(key) {
+  return /^[a-z0-9]$/.test(key) ||
+    /^f([1-9]|1[0-9]|2[0-4])$/.test(key) ||
+    /^num[0-9]$/.test(key) ||
+    (key.length === 1 && PUNCTUATION.includes(key)) ||
+    key in KEY_NAMES || key in NUMPAD_CODES || NAMED_KEYS.includes(key);
+}
+
+// Parses an accelerator into { modifiers, key }, or returns null when it has
+// no key or an unknown modifier. platform decides what CmdOrCtrl means.
+function parseAccelerator(accelerator, platform = process.platform) {
+  if (typeof accelerator !== 'string' || accelerator.trim() === '') return null;
+
+  // "Ctrl++" ends in the Plus key, not an empty part
+  const parts = accelerator.replace(/\+\+$/, '+Plus').split('+').map((part) => part.trim());
+  const key = parts.pop();
+  if (!key) return null;
+
+  const modifiers = new Set();
+  for (const part of parts) {
+    const name = part.toLowerCase();
+    if (name === 'cmdorctrl' || name === 'commandorcontrol') {
+      modifiers.add(platform === 'darwin' ? 'meta' : 'control');
+    } else if (MODIFIERS[name]) {
+      modifiers.add(MODIFIERS[name]);
+    } else {
+      return null;
+    }
+  }
+
+  return { modifiers, key: key.toLowerCase() };
+}
+
+// Returns { code, message } when accelerator isn't one Electron accepts or
+// is a key without modifiers that isn't an F-key or media key, or null. An
+// empty string is valid and means the shortcut is not bound.
+function validateAccelerator(accelerator) {
+  if (accelerator === '') return null;
+
+  const parsed = parseAccelerator(accelerator);
+  if (!parsed) {
+    return { code: 'invalid-format', message: 'Expected keys such as Ctrl+Shift+K' };
+  }
+  if (!isValidKey(parsed.key)) {
+    return { code: 'invalid-format', message: `"${accelerator.split('+').pop()}" can't be used in a shortcut` };
+  }
+  if (parsed.modifiers.size === 0 && !isStandaloneKey(parsed.key)) {
+    return { code: 'invalid-format', message: 'Add a modifier such as Ctrl or Alt; only F-keys and media keys work alone' };
+  }
+  return null;
+}
+
+// Splits a shortcut into the accelerators of its steps; [] when it is unbound
+function parseShortcut(shortcut) {
+  return typeof shortcut === 'string' && shortcut.trim() !== '' ? shortcut.trim().split(/\s+/) : [];
+}
+
+function isChord(shortcut) {
+  return parseShortcut(shortcut).length > 1;
+}
+
+// validateAccelerator for every step of a shortcut
+function validateShortcut(shortcut) {
+  if (shortcut === '') return null;
+
+  const steps = parseShortcut(shortcut);
+  if (steps.length === 0) {
+    return validateAccelerator(shortcut);
+  }
+  if (steps.length > MAX_CHORD_STEPS) {
+    return { code: 'out-of-range', message: `Chords can have at most ${MAX_CHORD_STEPS} steps` };
+  }
+
+  for (const step of steps) {
+    const error = validateAccelerator(step);
+    if (error) return error;
+  }
+  return null;
+}
+
+// Whether two accelerators describe the same keys, e.g. "Ctrl+Esc" and "Control+Escape"
+function isSameAccelerator(first, second, platform = process.platform) {
+  const a = parseAccelerator(first, platform);
+  const b = parseAccelerator(second, platform);
+  if (!a || !b) return false;
+
+  const keyName = (key) => KEY_NAMES[key] || key;
+  return a.modifiers.size === b.modifiers.size &&
+    [...a.modifiers].every((modifier) => b.modifiers.has(modifier)) &&
+    keyName(a.key) === keyName(b.key);
+}
+
+// Whether pressing shortcut first would also complete or start other, e.g.
+// "Ctrl+K" and "Ctrl+K Ctrl+T": the longer one could then never be used
+function overlaps(first, second, platform = process.platform) {
+  const a = parseShortcut(first);
+  const b = parseShortcut(second);
+  if (a.length === 0 || b.length === 0) return false;
+
+  return a.slice(0, b.length).every((step, index) => isSameAccelerator(step, b[index], platform));
+}
+
+// Lists the actions of a { action: shortcut } map that overlap an earlier
+// action's shortcut, as [{ action, conflictsWith }]
+function findConflicts(shortcuts, platform = process.platform) {
+  const entries = Object.entries(shortcuts).filter(([, shortcut]) => shortcut);
+
+  return entries.flatMap(([action, shortcut], index) => {
+    const other = entries.slice(0, index).find(([, earlier]) => overlaps(shortcut, earlier, platform));
+    return other ? [{ action, conflictsWith: other[0] }] : [];
+  });
+}
+
+function matchesKey(input, key) {
+  // Letters and digits are compared by physical key, so Shift+1 still matches "1"
+  if (/^[a-z]$/.test(key)) return input.code === `Key${key.toUpperCase()}`;
+  if (/^[0-9]$/.test(key)) return input.code === `Digit${key}`;
+  if (/^num[0-9]$/.test(key)) return input.code === `Numpad${key.slice(3)}`;
+  if (NUMPAD_CODES[key]) return input.code === NUMPAD_CODES[key];
+
+  return String(input.key).toLowerCase() === (KEY_NAMES[key] || key);
+}
+
+// The accelerator for a key pressed in a page, from the KeyboardEvent fields
+// { key, code, ctrlKey, altKey, shiftKey, metaKey }, or null when the key
+// can't be used in a shortcut. This is how the Configs page records
+// shortcuts, so they always use key names validateAccelerator accepts.
+function acceleratorFromKeyEvent(event) {
+  const { key, code } = event;
+  const name = (() => {
+    // Letters and digits by physical key, so Shift+1 is recorded as "Shift+1"
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit[0-9]$/.test(code)) return code.slice(5);
+    if (/^Numpad[0-9]$/.test(code)) return `num${code.slice(6)}`;
+
+    const numpadName = Object.keys(NUMPAD_CODES).find((numpad) => NUMPAD_CODES[numpad] === code);
+    if (numpadName) return numpadName;
+    if (/^F([1-9]|1[0-9]|2[0-4])$/.test(key)) return key;
+
+    // Escape and Enter have short aliases too; record the full names
+    if (NAMED_KEYS.includes(key.toLowerCase())) return key;
+    const keyName = Object.keys(KEY_NAMES).find((accelerator) => KEY_NAMES[accelerator] === key.toLowerCase());
+    if (keyName) return keyName[0].toUpperCase() + keyName.slice(1);
+    if (key.length === 1 && PUNCTUATION.includes(key)) return key;
+    return null;
+  })();
+  if (!name) return null;
+
+  const modifiers = [
+    event.ctrlKey && 'Ctrl',
+    event.altKey && 'Alt',
+    event.shiftKey && 'Shift',
+    event.metaKey && 'Meta'
+  ].filter(Boolean);
+  return [...modifiers, name].join('+');
+}
+
+// input is the Electron Input object: { type, key, code, control, meta, alt, shift }
+function matchesAccelerator(input, accelerator, platform = process.platform) {
+  if (input.type !== 'keyDown') return false;
+
+  const parsed = parseAccelerator(accelerator, platform);
+  if (!parsed) return false;
+
+  return ['control', 'meta', 'alt', 'shift'].every((modifier) => Boolean(input[modifier]) === parsed.modifiers.has(modifier)) &&
+    matchesKey(input, parsed.key);
+}
+
+module.exports = {
+  MAX_CHORD_STEPS,
+  parseAccelerator,
+  parseShortcut,
+  isChord,
+  validateAccelerator,
+  validateShortcut,
+  isSameAccelerator,
+  findConflicts,
+  acceleratorFromKeyEvent,
+  matchesAccelerator
+};
@@ -0,0 +1,107 @@
+// The app's commands, in one place for the tray, shortcuts and the command
+// palette. A command is { id, title, category, shortcut, handler }: shortcut
+// optionally names the command's key in advanced.keyboardShortcuts, and
+// handler receives the context the command runs in, such as the window.
+class CommandRegistry {
+  constructor() {
+    this.commands = new Map();
+    this.providers = [];
+  }
+
+  // Adds a command and returns a function that removes it again
+  register(command) {
+    const { id, title, handler } = command;
+    if (typeof id !== 'string' || id === '' || typeof title !== 'string' || typeof handler !== 'function') {
+      throw new Error('A command needs an id, a title and a handler');
+    }
+    if (this.commands.has(id)) {
+      throw new Error(`Command "${id}" is already registered`);
+    }
+
+    this.commands.set(id, { category: null, shortcut: null, ...command });
+    return () => this.commands.delete(id);
+  }
+
+  // Adds a function returning a list of commands, for commands that come and
+  // go with the app's state, such as one per saved layout. It is called
+  // every time commands are listed, so the list is never stale.
+  registerProvider(provider) {
+    this.providers.push(provider);
+    return () => {
+      this.providers = this.providers.filter((entry) => entry !== provider);
+    };
+  }
+
+  list() {
+    return [
+      ...this.commands.values(),
+      ...this.providers.flatMap((provider) => provider().map((command) => ({ category: null, shortcut: null, ...command })))
+    ];
+  }
+
+  get(id) {
+    return this.list().find((command) => command.id === id) || null;
+  }
+
+  findByShortcut(shortcut) {
+    return this.list().find((command) => command.shortcut === shortcut) || null;
+  }
+
+  // Runs a command and reports the outcome instead of throwing, as
+  // { success, result } or { success: false, error }
+  async execute(id, context = {}) {
+    const command = this.get(id);
+    if (!command) {
+      return { success: false, error: `Unknown command "${id}"` };
+    }
+
+    try {
+      return { success: true, result: await command.handler(context) };
+    } catch (error) {
+      console.error(`Error running command ${id}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Scores how well query matches text when its characters appear in text in
+// order, or returns null when they don't. Runs of consecutive characters and
+// characters starting a word score higher.
+function fuzzyScore(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  const haystack = text.toLowerCase();
+  let score = 0;
+  let previous = -2;
+
+  for (const char of needle) {
+    const index = haystack.indexOf(char, previous + 1);
+    if (index === -1) return null;
+
+    score += 1;
+    if (index === previous + 1) score += 2;
+    if (index === 0 || /[\s:/-]/.test(haystack[index - 1])) score += 3;
+    previous = index;
+  }
+
+  return score;
+}
+
+// The commands matching query, best match first. Titles are matched together
+// with their category, so "layout left" finds "Layout: Left Half".
+function searchCommands(commands, query = '') {
+  return commands
+    .map((command, index) => ({
+      command,
+      index,
+      score: fuzzyScore(query, command.category ? `${command.category}: ${command.title}` : command.title)
+    }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ command }) => command);
+}
+
+module.exports = {
+  CommandRegistry,
+  fuzzyScore,
+  searchCommands
+};
@@ -0,0 +1,194 @@
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+// The channels the renderer may invoke, the arguments each one takes and what
+// it resolves to. The main process only answers these, and checks every call
+// against them before it reaches a handler and every result before it goes
+// back.
+//
+// A shape is a type name ('string', 'boolean', 'number', 'integer', 'object',
+// 'array', 'any' or 'void'), optionally ending in '?' when undefined and null
+// are allowed too, or an object { type, optional, ...rules }: strings take
+// maxLength and pattern, numbers min and max, objects the shapes of their
+// fields and of their keys, and arrays the shape of their items. Objects may
+// carry fields their shape doesn't list.
+
+// Longest string any channel accepts unless its shape says otherwise
+const MAX_STRING_LENGTH = 1024;
+
+// Dotted setting keys such as "appearance.theme". Every part starts with a
+// letter, so paths like "__proto__.polluted" never reach the settings.
+const SETTING_KEY = { type: 'string', maxLength: 256, pattern: /^[A-Za-z][A-Za-z0-9]*(\.[A-Za-z][A-Za-z0-9]*)*$/ };
+const NAME = { type: 'string', maxLength: 256 };
+const RESULT = { type: 'object', fields: { success: 'boolean' } };
+const POSITION = { type: 'object', fields: { x: 'number', y: 'number' } };
+const KEY_EVENT = {
+  type: 'object',
+  fields: { key: 'string', code: 'string', ctrlKey: 'boolean', altKey: 'boolean', shiftKey: 'boolean', metaKey: 'boolean' }
+};
+
+// Channels the renderer invokes: args holds the shape of each argument and
+// returns the shape of the result. A call resolves to an ipcError instead
+// when it is refused, or its handler fails or returns something else.
+// splash marks the channels the splash screen may call as well as the app
+// windows.
+const INVOKE_CHANNELS = {
+  'window-minimize': { args: [], returns: 'void' },
+  'window-maximize': { args: [], returns: 'void' },
+  'window-close': { args: [], returns: 'void' },
+  'window-is-maximized': { args: [], returns: 'boolean' },
+  'window-toggle-mode': { args: ['string'], returns: RESULT },
+  'window-get-mode': { args: [], returns: 'string?' },
+  'window-show-layout-menu': { args: [POSITION], returns: 'string?' },
+  'window-apply-layout': { args: ['string'], returns: RESULT },
+  'window-save-layout': { args: [NAME], returns: RESULT },
+  'window-delete-layout': { args: [NAME], returns: RESULT },
+  'window-suspend-shortcuts': { args: ['boolean'], returns: 'void' },
+  'describe-shortcut': { args: [{ type: 'array', items: KEY_EVENT }], returns: RESULT },
+  'open-new-window': { args: ['string?'], returns: RESULT },
+  'set-current-page': { args: ['string'], returns: 'void' },
+  'get-settings': { args: [], returns: 'object', splash: true },
+  'get-default-settings': { args: [], returns: 'object' },
+  'save-setting': { args: [SETTING_KEY, 'any'], returns: RESULT },
+  'save-settings': { args: ['object'], returns: RESULT },
+  'save-settings-batch': { args: [{ type: 'object', keys: SETTING_KEY }], returns: RESULT },
+  'restore-default-settings': { args: [], returns: RESULT },
+  'export-settings': { args: [], returns: RESULT },
+  'import-settings': { args: [], returns: RESULT },
+  'apply-imported-settings': { args: [], returns: RESULT },
+  'cancel-imported-settings': { args: [], returns: 'void' },
+  'update-global-shortcuts': { args: [], returns: 'boolean' },
+  'get-shortcut-errors': { args: [], returns: 'array' },
+  'get-profiles': { args: [], returns: 'object' },
+  'switch-profile': { args: [NAME], returns: RESULT },
+  'create-profile': { args: [NAME], returns: RESULT },
+  'duplicate-profile': { args: [NAME, NAME], returns: RESULT },
+  'rename-profile': { args: [NAME, NAME], returns: RESULT },
+  'delete-profile': { args: [NAME], returns: RESULT },
+  'set-tray-status': { args: ['object'], returns: RESULT },
+  'list-commands': { args: [{ type: 'string', optional: true, maxLength: 256 }], returns: RESULT },
+  'execute-command': { args: ['string'], returns: RESULT },
+  'splash-complete': { args: [], returns: 'void', splash: true }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const hasOwn = (object, key) => typeof key === 'string' && Object.prototype.hasOwnProperty.call(object, key);
+
+function parseShape(shape) {
+  if (typeof shape === 'string') {
+    return shape.endsWith('?') ? { type: shape.slice(0, -1), optional: true } : { type: shape };
+  }
+  return shape;
+}
+
+// Returns a message describing why value doesn't fit shape, or null. name
+// says where the value came from, e.g. "argument 1".
+function checkShape(shape, value, name = 'value') {
+  const rule = parseShape(shape);
+  if (value === undefined || value === null) {
+    return rule.optional || rule.type === 'any' || rule.type === 'void' ? null : `${name} is required`;
+  }
+
+  switch (rule.type) {
+    case 'any':
+      return null;
+    case 'void':
+      return `${name} must be empty`;
+    case 'string': {
+      if (typeof value !== 'string') return `${name} must be a string`;
+      const maxLength = rule.maxLength ?? MAX_STRING_LENGTH;
+      if (value.length > maxLength) return `${name} must be at most ${maxLength} characters`;
+      if (rule.pattern && !rule.pattern.test(value)) return `${name} is not in the expected format`;
+      return null;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${name} must be true or false`;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number`;
+      if (rule.type === 'integer' && !Number.isInteger(value)) return `${name} must be a whole number`;
+      if (rule.min !== undefined && value < rule.min) return `${name} must be at least ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max) return `${name} must be at most ${rule.max}`;
+      return null;
+    case 'object':
+      if (!isPlainObject(value)) return `${name} must be an object`;
+      if (rule.keys) {
+        for (const key of Object.keys(value)) {
+          const problem = checkShape(rule.keys, key, `${name} key "${key}"`);
+          if (problem) return problem;
+        }
+      }
+      for (const [field, fieldShape] of Object.entries(rule.fields || {})) {
+        const problem = checkShape(fieldShape, value[field], `${name}.${field}`);
+        if (problem) return problem;
+      }
+      return null;
+    case 'array':
+      if (!Array.isArray(value)) return `${name} must be a list`;
+      if (rule.items) {
+        for (const [index, item] of value.entries()) {
+          const problem = checkShape(rule.items, item, `${name}[${index}]`);
+          if (problem) return problem;
+        }
+      }
+      return null;
+    default:
+      return `${name} has an unknown shape "${rule.type}"`;
+  }
+}
+
+// The structured error an IPC call resolves to when it is refused. error
+// stays a message, like the errors handlers return themselves.
+function ipcError(code, message) {
+  return { success: false, code, error: message };
+}
+
+// Checks the arguments of a call on one of the INVOKE_CHANNELS. Returns an
+// ipcError or null.
+function validateInvoke(channel, args) {
+  if (!hasOwn(INVOKE_CHANNELS, channel)) {
+    return ipcError('unknown-channel', `Unknown IPC channel "${channel}"`);
+  }
+
+  const contract = INVOKE_CHANNELS[channel];
+  if (args.length > contract.args.length) {
+    return ipcError('invalid-args', `"${channel}" takes at most ${contract.args.length} argument(s)`);
+  }
+  for (const [index, shape] of contract.args.entries()) {
+    const problem = checkShape(shape, args[index], `Argument ${index + 1} of "${channel}"`);
+    if (problem) return ipcError('invalid-args', problem);
+  }
+  return null;
+}
+
+// Checks what a handler for one of the INVOKE_CHANNELS returned. Returns an
+// ipcError or null.
+function validateResult(channel, result) {
+  const problem = checkShape(INVOKE_CHANNELS[channel].returns, result, `Result of "${channel}"`);
+  return problem ? ipcError('invalid-result', problem) : null;
+}
+
+// Whether a frame at url may use IPC: only app pages loaded from the
+// renderer directory may, never remote pages or other local files
+function isTrustedUrl(url, rendererDir) {
+  let filePath;
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'file:') return false;
+    filePath = fileURLToPath(parsed);
+  } catch {
+    return false;
+  }
+
+  const relative = path.relative(rendererDir, filePath);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+module.exports = {
+  INVOKE_CHANNELS,
+  checkShape,
+  ipcError,
+  validateInvoke,
+  validateResult,
+  isTrustedUrl
+};
@@ -0,0 +1,43 @@
+const path = require('path');
+const fs = require('fs');
+
+function isReadableJson(filePath) {
+  try {
+    JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Writes value as JSON to a temp file next to filePath and renames it into
+// place, so readers only ever see the old or the new contents. When a
+// backupPath is given, the file being replaced is copied there first as long
+// as it still parses. Returns the text that was written.
+function writeJsonAtomic(filePath, value, { backupPath } = {}) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const text = JSON.stringify(value, null, 2);
+  const tempPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (backupPath && isReadableJson(filePath)) {
+    fs.copyFileSync(filePath, backupPath);
+  }
+  fs.renameSync(tempPath, filePath);
+  return text;
+}
+
+module.exports = {
+  isReadableJson,
+  writeJsonAtomic
+};
@@ -0,0 +1,20 @@
+// Reads the app's own options from a command line, e.g. the argv of a second
+// launch forwarded to the running instance. Unknown arguments (Electron's and
+// Chromium's own switches, the app path) are ignored.
+function parseLaunchArgs(argv) {
+  const options = {};
+
+  argv.forEach((arg, index) => {
+    if (arg.startsWith('--page=')) {
+      options.page = arg.slice('--page='.length);
+    } else if (arg === '--page' && argv[index + 1] && !argv[index + 1].startsWith('--')) {
+      options.page = argv[index + 1];
+    }
+  });
+
+  return options;
+}
+
+module.exports = {
+  parseLaunchArgs
+};
@@ -1,6 +1,80 @@
-const { app, BrowserWindow, Menu, Tray, ipcMain } = require('electron');
+const { app, BrowserWindow, Menu, Tray, ipcMain, screen, nativeImage, nativeTheme } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const SettingsStore = require('./settings-store');
+const ProfileStore = require('./profile-store');
+const { migrateSettings, versionSettings, parseSettingsExport } = require('./settings-migrations');
+const { fitBoundsToDisplays } = require('./window-bounds');
+const WindowManager = require('./window-manager');
+const { parseLaunchArgs } = require('./launch-args');
+const {
+  MAX_CHORD_STEPS,
+  isChord,
+  isSameAccelerator,
+  findConflicts,
+  validateShortcut,
+  acceleratorFromKeyEvent
+} = require('./accelerator');
+const { ShortcutDispatcher } = require('./shortcut-dispatcher');
+const { TRAY_STATES, renderTrayIcon } = require('./tray-icon');
+const { listLayouts, findLayout, getLayoutBounds, createLayout } = require('./window-layouts');
+const { CommandRegistry, searchCommands } = require('./command-registry');
+const { INVOKE_CHANNELS, ipcError, validateInvoke, validateResult, isTrustedUrl } = require('./ipc-contract');
+const {
+  getDefaults,
+  normalizeSettings,
+  validateSetting,
+  validateSettings,
+  getSettingValue,
+  setSettingValue,
+  flattenSettings,
+  diffSettings
+} = require('./settings-schema');
+
+// The tray icon is shown while any of these is enabled; the last three hide
+// windows to the tray, so they need it too
+const TRAY_SETTING_KEYS = [
+  'behavior.showTrayIcon',
+  'behavior.closeToTray',
+  'behavior.minimizeToTray',
+  'behavior.startMinimizedToTray'
+];
+
+// Settings the tray menu offers as checkboxes, and the command palette as toggles
+const TRAY_TOGGLES = [
+  { key: 'behavior.alwaysOnTop', label: 'ALWAYS ON TOP', title: 'Toggle Always on Top' },
+  { key: 'behavior.launchOnStartup', label: 'LAUNCH ON STARTUP', title: 'Toggle Launch on Startup' },
+  { key: 'behavior.closeToTray', label: 'CLOSE TO TRAY', title: 'Toggle Close to Tray' }
+];
+
+const TRAY_ICON_SIZE = 16;
+const DEFAULT_TRAY_TOOLTIP = 'FlexCore Template - Double-click to toggle, Right-click for menu';
+// Windows truncates longer tray tooltips
+const MAX_TRAY_TOOLTIP_LENGTH = 127;
+
+// How far each new window is offset from the window that opened it
+const WINDOW_CASCADE_OFFSET = 30;
+
+// Small enough for a window to take a half or a quarter of a laptop screen
+const MIN_WINDOW_SIZE = { width: 640, height: 360 };
+
+// Window modes, each toggled by the shortcut advanced.keyboardShortcuts.<mode>
+const WINDOW_MODES = ['fullscreen', 'kiosk', 'mini'];
+const WINDOW_MODE_TITLES = { fullscreen: 'Fullscreen', kiosk: 'Presentation', mini: 'Mini' };
+const MINI_WINDOW_SIZE = { width: 360, height: 220 };
+const MINI_WINDOW_MARGIN = 16;
+
+// Settings that change which shortcuts are bound and where
+const isShortcutKey = (key) => key.startsWith('advanced.keyboardShortcuts.') || key.startsWith('advanced.shortcutScopes.');
+
+// The accelerator a menu item shows for a shortcut; menus can't show chords
+const menuAccelerator = (shortcut) => (shortcut && !isChord(shortcut) ? shortcut : undefined);
+
+// "layoutLeftHalf" -> "layout left half", for shortcut error messages
+const describeShortcut = (action) => action.replace(/([A-Z])/g, ' $1').toLowerCase();
+
+// The only pages allowed to use IPC are loaded from here
+const RENDERER_DIR = path.join(__dirname, '../renderer');
 
 // Enable live reload for development
 if (process.argv.includes('--dev')) {
@@ -21,68 +95,70 @@ if (process.argv.includes('--dev')) {
 
 class MainWindow {
   constructor() {
-    this.window = null;
+    this.windows = new WindowManager({ indexPath: path.join(__dirname, '../renderer/index.html') });
     this.splashWindow = null;
     this.tray = null;
-    this.settingsPath = path.join(__dirname, '../config/settings.json');
+    this.settingsStore = new SettingsStore({
+      userDataPath: app.getPath('userData'),
+      seedPath: path.join(__dirname, '../config/settings.json')
+    });
+    this.settingsPath = this.settingsStore.filePath;
     this.settings = this.loadSettings();
+    this.profileStore = new ProfileStore({ userDataPath: app.getPath('userData') });
+    this.profileStore.load(this.settings);
+    this.settingsStore.watch((data) => this.applyExternalSettings(data));
     this.globalShortcuts = new Map();
+    this.shortcutDispatchers = new WeakMap(); // window -> its in-app ShortcutDispatcher
+    this.shortcutErrors = []; // Global shortcuts the OS refused, as setting errors
+    this.pendingImports = new WeakMap(); // webContents -> the settings its import preview shows
     this.isForceQuitting = false;
+    // Set by the renderer through setTrayStatus; kept while there is no tray
+    this.trayStatus = { state: 'idle', tooltip: null, badgeCount: 0 };
+    // Page the first window opens on, from --page=<name> on the command line
+    this.launchPage = this.getLaunchPage(process.argv);
+    this.revealOnStartup = false;
+    // Every action the tray, shortcuts and the command palette can trigger
+    this.commands = new CommandRegistry();
+    this.registerCommands();
     this.createSplashWindow();
     this.setupEventHandlers();
     this.registerGlobalShortcuts();
     this.setupAutoLaunch();
-    
-    // Create tray if any tray-related behavior is enabled
-    if (this.settings.behavior?.closeToTray || 
-        this.settings.behavior?.minimizeToTray || 
-        this.settings.behavior?.startMinimizedToTray) {
-      this.createTray();
-    }
+    this.syncTray();
   }
 
   loadSettings() {
     try {
-      if (fs.existsSync(this.settingsPath)) {
-        return JSON.parse(fs.readFileSync(this.settingsPath, 'utf8'));
+      const stored = this.settingsStore.read();
+      if (stored) {
+        const { settings, errors } = normalizeSettings(stored);
+        errors.forEach((error) => {
+          console.warn(`Ignoring setting ${error.key}: ${error.message}`);
+        });
+        return settings;
       }
     } catch (err) {
       console.error('Error loading settings:', err);
     }
     
     // Return default settings if file doesn't exist or error occurs
-    return {
-      appearance: {
-        theme: "dark",
-        fontFamily: "smooch-sans",
-        accentColor: "#00a2ff",
-        titlebarButtonStyle: "round"
-      },
-      behavior: {
-        defaultWindowState: "normal",
-        rememberWindowSize: true,
-        launchOnStartup: false,
-        startMinimizedToTray: false,
-        minimizeToTray: false,
-        closeToTray: false,
-        alwaysOnTop: false
-      },
-      window: {
-        width: 1200,
-        height: 800,
-        x: null,
-        y: null
-      }
-    };
+    return getDefaults();
   }
 
   saveSettings() {
+    // Writes are coalesced by the store; flushSettings() forces them out
+    this.settingsStore.scheduleWrite(this.settings);
+
     try {
-      const dir = path.dirname(this.settingsPath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-      fs.writeFileSync(this.settingsPath, JSON.stringify(this.settings, null, 2));
+      this.profileStore.syncActive(this.settings);
+    } catch (err) {
+      console.error('Error saving profile:', err);
+    }
+  }
+
+  flushSettings() {
+    try {
+      this.settingsStore.flush();
     } catch (err) {
       console.error('Error saving settings:', err);
     }
@@ -129,17 +205,32 @@ class MainWindow {
     });
   }
 
-  createWindow() {
+  // Resolves behavior.defaultWindowState to the state the window opens in
+  getInitialWindowState() {
+    const mode = this.settings.behavior?.defaultWindowState || 'normal';
+    if (mode !== 'last-used') return mode;
+
+    if (this.settings.window?.fullscreen) return 'fullscreen';
+    return this.settings.window?.maximized ? 'maximized' : 'normal';
+  }
+
+  // Opens an app window on page. The first window opens with the saved bounds
+  // and the configured window state; windows opened from another window
+  // cascade from it. Each window keeps its own page and bounds.
+  openWindow(page = 'home', { from = null, startup = false } = {}) {
+    const initialState = from ? 'normal' : this.getInitialWindowState();
+
     // Use saved window size if remember window size is enabled
     const windowConfig = {
       width: this.settings.behavior?.rememberWindowSize && this.settings.window?.width ? this.settings.window.width : 1200,
       height: this.settings.behavior?.rememberWindowSize && this.settings.window?.height ? this.settings.window.height : 800,
-      minWidth: 800,
-      minHeight: 600,
+      minWidth: MIN_WINDOW_SIZE.width,
+      minHeight: MIN_WINDOW_SIZE.height,
       frame: false, // Frameless window
       titleBarStyle: 'hidden',
       backgroundColor: '#1a1a1a', // Dark background matching theme
-      show: !this.settings.behavior?.startMinimizedToTray, // Don't show if starting minimized to tray
+      show: false, // Shown by revealWindow() once ready, in its initial state
+      fullscreen: initialState === 'fullscreen',
       alwaysOnTop: this.settings.behavior?.alwaysOnTop || false, // Apply always on top setting
       webPreferences: {
         nodeIntegration: false, // Security: disable node integration
@@ -153,88 +244,522 @@ class MainWindow {
       icon: path.join(__dirname, '../../assets/favicon.ico')
     };
 
-    // Set window position if remembered
-    if (this.settings.behavior?.rememberWindowSize && this.settings.window?.x !== null && this.settings.window?.y !== null) {
-      windowConfig.x = this.settings.window.x;
-      windowConfig.y = this.settings.window.y;
+    if (from) {
+      const bounds = from.getNormalBounds();
+      Object.assign(windowConfig, fitBoundsToDisplays(
+        { ...bounds, x: bounds.x + WINDOW_CASCADE_OFFSET, y: bounds.y + WINDOW_CASCADE_OFFSET },
+        null,
+        screen.getAllDisplays(),
+        screen.getPrimaryDisplay()
+      ));
+    } else if (this.settings.behavior?.rememberWindowSize && this.settings.window?.x !== null && this.settings.window?.y !== null) {
+      // Set window position if remembered, fitted to the monitors connected now
+      const bounds = fitBoundsToDisplays(
+        { x: this.settings.window.x, y: this.settings.window.y, width: windowConfig.width, height: windowConfig.height },
+        this.settings.window.display,
+        screen.getAllDisplays(),
+        screen.getPrimaryDisplay()
+      );
+      Object.assign(windowConfig, bounds);
     }
 
-    // Create the browser window with frameless configuration
-    this.window = new BrowserWindow(windowConfig);
-
-    // Load the app
-    this.window.loadFile(path.join(__dirname, '../renderer/index.html'));
+    // Create the browser window with frameless configuration and load the app
+    const window = this.windows.open(windowConfig, page);
+    if (initialState === 'fullscreen') {
+      this.windows.setMode(window, 'fullscreen');
+    }
 
     // Show window when ready to prevent visual flash
-    this.window.once('ready-to-show', () => {
-      if (this.settings.behavior?.startMinimizedToTray) {
-        // Create tray and minimize to it if setting is enabled
-        this.createTray();
-        this.window.hide();
+    window.once('ready-to-show', () => {
+      if (startup && this.settings.behavior?.startMinimizedToTray && !this.revealOnStartup && this.hasTray()) {
+        // Stay hidden in the tray if setting is enabled
       } else {
-        this.window.show();
-        
-        // Focus the window
-        if (this.window) {
-          this.window.focus();
-        }
+        this.revealWindow(window, initialState);
+      }
+    });
+
+    // Track maximized/fullscreen state for the "last-used" window state and the titlebar
+    window.on('maximize', () => {
+      this.saveWindowState(window);
+      window.webContents.send('window-maximized');
+    });
+
+    window.on('unmaximize', () => {
+      this.saveWindowState(window);
+      window.webContents.send('window-unmaximized');
+    });
+
+    // Fullscreen can also be entered and left outside the app (e.g. the macOS
+    // green button); kiosk mode goes through these events too but reports itself
+    window.on('enter-full-screen', () => {
+      if (!this.windows.getMode(window)) {
+        this.windows.setMode(window, 'fullscreen');
+        window.webContents.send('window-enter-mode', 'fullscreen');
+        this.updateTrayMenu();
+      }
+      this.saveWindowState(window);
+    });
+
+    window.on('leave-full-screen', () => {
+      if (this.windows.getMode(window) === 'fullscreen') {
+        this.windows.setMode(window, null);
+        window.webContents.send('window-leave-mode', 'fullscreen');
+        this.updateTrayMenu();
+      }
+      this.saveWindowState(window);
+    });
+
+    // Keep the tray's Show/Hide and per-window items in step with the windows
+    ['show', 'hide', 'focus', 'closed'].forEach((eventName) => {
+      window.on(eventName, () => this.updateTrayMenu());
+    });
+
+    // In-app shortcuts only fire while this window has focus. Each window
+    // tracks its own half-typed chords.
+    const shortcutDispatcher = new ShortcutDispatcher();
+    this.shortcutDispatchers.set(window, shortcutDispatcher);
+    window.webContents.on('before-input-event', (event, input) => {
+      const { action, consumed } = shortcutDispatcher.handleInput(input, this.getScopedShortcuts('app'));
+      const command = action && this.commands.findByShortcut(action);
+
+      if (consumed) {
+        event.preventDefault();
+      }
+      if (command) {
+        this.runCommand(command.id, window);
+      }
+    });
+    window.on('blur', () => shortcutDispatcher.cancel());
+    window.on('closed', () => {
+      // Don't leave global shortcuts off if the window closed while recording one
+      if (shortcutDispatcher.suspended) {
+        this.registerGlobalShortcuts();
       }
     });
 
     // Handle window minimize event
-    this.window.on('minimize', () => {
-      if (this.settings.behavior?.minimizeToTray) {
-        // Ensure tray exists and hide window instead of minimizing
-        if (!this.tray) this.createTray();
-        this.window.hide();
+    window.on('minimize', () => {
+      if (this.settings.behavior?.minimizeToTray && this.hasTray()) {
+        // Hide window instead of minimizing
+        window.hide();
       }
     });
 
-    // Handle window close event
-    this.window.on('close', (event) => {
-      if (this.settings.behavior?.closeToTray && !this.isForceQuitting) {
+    // Handle window close event. Only the last window goes to the tray;
+    // closing any other window closes it for real. Without a tray (e.g. the
+    // desktop has no system tray) windows close normally rather than hiding
+    // where nobody can get them back.
+    window.on('close', (event) => {
+      if (this.settings.behavior?.closeToTray && this.hasTray() && !this.isForceQuitting && this.windows.count === 1) {
         // Prevent the window from closing and hide it instead (unless force quitting from tray)
         event.preventDefault();
-        if (!this.tray) this.createTray();
-        this.window.hide();
+        window.hide();
       }
     });
 
-    // Handle window closed
-    this.window.on('closed', () => {
-      this.window = null;
+    // Save window size and position when window is resized or moved (if remember window size is enabled)
+    window.on('resize', () => this.saveWindowBounds(window));
+    window.on('move', () => this.saveWindowBounds(window));
+
+    // DevTools can be opened manually with Ctrl+Shift+I or F12 in development
+    // Removed automatic opening to keep the interface clean
+    return window;
+  }
+
+  // Shows a new window for the first time in its initial state. Fullscreen
+  // is already applied through the constructor options; maximize() shows the
+  // window by itself, so it is used instead of show() rather than after it.
+  revealWindow(window, initialState) {
+    if (window.isDestroyed()) return;
+
+    if (initialState === 'maximized') {
+      window.maximize();
+    } else {
+      window.show();
+    }
+    window.focus();
+  }
+
+  // Shows every app window, opening one if there are none (e.g. on macOS
+  // after the last window was closed)
+  showWindows() {
+    const windows = this.windows.getAll();
+    if (windows.length === 0) {
+      this.openWindow();
+      return;
+    }
+
+    windows.forEach((window) => window.show());
+    this.windows.getPrimary().focus();
+  }
+
+  hideWindows() {
+    this.windows.getAll().forEach((window) => window.hide());
+  }
+
+  // Switches window into mode, or back to normal if it is already in it.
+  // Modes are exclusive, so entering one leaves the current one first.
+  // Returns the mode the window ends up in.
+  toggleWindowMode(window, mode) {
+    const current = this.windows.getMode(window);
+    if (current) {
+      this.leaveWindowMode(window, current);
+    }
+    if (current !== mode) {
+      this.enterWindowMode(window, mode);
+    }
+
+    this.updateTrayMenu();
+    return this.windows.getMode(window);
+  }
+
+  enterWindowMode(window, mode) {
+    if (mode === 'mini') {
+      // Shrink to a small always-on-top panel in the top-right corner of the display
+      const restoreState = { bounds: window.getNormalBounds(), maximized: window.isMaximized() };
+      this.windows.setMode(window, 'mini', restoreState);
+
+      if (restoreState.maximized) {
+        window.unmaximize();
+      }
+      const { workArea } = screen.getDisplayMatching(restoreState.bounds);
+      window.setMinimumSize(MINI_WINDOW_SIZE.width, MINI_WINDOW_SIZE.height);
+      window.setBounds({
+        x: workArea.x + workArea.width - MINI_WINDOW_SIZE.width - MINI_WINDOW_MARGIN,
+        y: workArea.y + MINI_WINDOW_MARGIN,
+        ...MINI_WINDOW_SIZE
+      });
+      window.setAlwaysOnTop(true);
+    } else {
+      this.windows.setMode(window, mode);
+      if (mode === 'kiosk') {
+        window.setKiosk(true);
+      } else {
+        window.setFullScreen(true);
+      }
+    }
+
+    window.webContents.send('window-enter-mode', mode);
+  }
+
+  leaveWindowMode(window, mode) {
+    const restoreState = this.windows.getRestoreState(window);
+    this.windows.setMode(window, null);
+
+    if (mode === 'mini') {
+      window.setMinimumSize(MIN_WINDOW_SIZE.width, MIN_WINDOW_SIZE.height);
+      window.setAlwaysOnTop(this.settings.behavior?.alwaysOnTop || false);
+      window.setBounds(restoreState.bounds);
+      if (restoreState.maximized) {
+        window.maximize();
+      }
+    } else if (mode === 'kiosk') {
+      window.setKiosk(false);
+    } else {
+      window.setFullScreen(false);
+    }
+
+    window.webContents.send('window-leave-mode', mode);
+  }
+
+  // Moves and resizes window to a layout preset on the display it is on,
+  // leaving any window mode or maximized state first
+  applyWindowLayout(window, id) {
+    const layout = findLayout(id, this.settings.layouts.custom);
+    if (!layout) return false;
+
+    const mode = this.windows.getMode(window);
+    if (mode) {
+      this.toggleWindowMode(window, mode);
+    }
+    if (window.isMaximized()) {
+      window.unmaximize();
+    }
+
+    const { workArea } = screen.getDisplayMatching(window.getBounds());
+    window.setBounds(getLayoutBounds(layout, workArea));
+    return true;
+  }
+
+  // Saves the window's current bounds as a named layout, replacing any
+  // layout with the same name
+  saveWindowLayout(window, name) {
+    const { workArea } = screen.getDisplayMatching(window.getBounds());
+    const layout = createLayout(typeof name === 'string' ? name.trim() : name, window.getNormalBounds(), workArea);
+    const layouts = this.settings.layouts.custom.filter((existing) => existing.name !== layout.name);
+    return this.applySettingsBatch([['layouts.custom', [...layouts, layout]]], 'layouts');
+  }
+
+  deleteWindowLayout(name) {
+    const layouts = this.settings.layouts.custom.filter((layout) => layout.name !== name);
+    return this.applySettingsBatch([['layouts.custom', layouts]], 'layouts');
+  }
+
+  // Menu items applying each layout to the window returned by getWindow(),
+  // shared by the titlebar layout menu and the tray
+  buildLayoutMenuItems(getWindow) {
+    const shortcuts = this.settings.advanced?.keyboardShortcuts || {};
+    const layouts = listLayouts(this.settings.layouts.custom);
+    const customStart = layouts.findIndex((layout) => layout.custom);
+
+    return layouts.flatMap((layout, index) => [
+      ...(index === customStart ? [{ type: 'separator' }] : []),
+      {
+        label: layout.label,
+        accelerator: menuAccelerator(layout.shortcut && shortcuts[layout.shortcut]),
+        registerAccelerator: false, // Handled as a global or in-app shortcut
+        click: () => this.runCommand(`layout.${layout.id}`, getWindow())
+      }
+    ]);
+  }
+
+  // Shows the titlebar layout menu under the button at position. Resolves to
+  // 'save' when the user picks "Save Current Layout..." so the renderer can
+  // ask for a name, or null otherwise.
+  showLayoutMenu(window, position) {
+    return new Promise((resolve) => {
+      let action = null;
+      const customLayouts = this.settings.layouts.custom;
+
+      const menu = Menu.buildFromTemplate([
+        ...this.buildLayoutMenuItems(() => window),
+        { type: 'separator' },
+        {
+          label: 'Save Current Layout...',
+          click: () => {
+            action = 'save';
+          }
+        },
+        {
+          label: 'Delete Layout',
+          enabled: customLayouts.length > 0,
+          submenu: customLayouts.map(({ name }) => ({
+            label: name,
+            click: () => this.deleteWindowLayout(name)
+          }))
+        }
+      ]);
+
+      menu.popup({
+        window,
+        x: Math.round(position?.x) || 0,
+        y: Math.round(position?.y) || 0,
+        callback: () => resolve(action)
+      });
     });
+  }
 
-    // Never show main window automatically - wait for splash completion
-    // The window will be shown by closeSplashAndShowMain() when splash finishes
+  // Saves the bounds of the window that moved last, which the next launch opens with
+  saveWindowBounds(window) {
+    if (!this.settings.behavior?.rememberWindowSize || window.isDestroyed()) return;
+    if (window.isFullScreen() || this.windows.getMode(window) === 'mini') return;
 
-    // Save window size and position when window is resized or moved (if remember window size is enabled)
-    this.window.on('resize', () => {
-      if (this.settings.behavior?.rememberWindowSize && this.window && !this.window.isDestroyed()) {
-        const bounds = this.window.getBounds();
-        this.settings.window = {
-          ...this.settings.window,
-          width: bounds.width,
-          height: bounds.height
-        };
-        this.saveSettings();
+    // Normal bounds stay the restored size while the window is maximized
+    const bounds = window.getNormalBounds();
+    const display = screen.getDisplayMatching(bounds);
+    this.settings.window = {
+      ...this.settings.window,
+      x: bounds.x,
+      y: bounds.y,
+      width: bounds.width,
+      height: bounds.height,
+      display: {
+        id: display.id,
+        scaleFactor: display.scaleFactor,
+        workArea: { ...display.workArea }
+      }
+    };
+    this.saveSettings();
+  }
+
+  // Moves windows back on screen when the monitor they were on goes away
+  ensureWindowsOnScreen() {
+    this.windows.getAll().forEach((window) => {
+      // The OS already moves maximized and fullscreen windows along with their display
+      if (window.isMaximized() || window.isFullScreen()) return;
+
+      const bounds = window.getNormalBounds();
+      const fitted = fitBoundsToDisplays(bounds, null, screen.getAllDisplays(), screen.getPrimaryDisplay());
+
+      if (fitted.x !== bounds.x || fitted.y !== bounds.y || fitted.width !== bounds.width || fitted.height !== bounds.height) {
+        console.log('Window was off-screen after a display change, moving it to', fitted);
+        window.setBounds(fitted);
       }
     });
+  }
 
-    this.window.on('move', () => {
-      if (this.settings.behavior?.rememberWindowSize && this.window && !this.window.isDestroyed()) {
-        const bounds = this.window.getBounds();
-        this.settings.window = {
-          ...this.settings.window,
-          x: bounds.x,
-          y: bounds.y
-        };
-        this.saveSettings();
+  saveWindowState(window) {
+    if (window.isDestroyed()) return;
+    // Kiosk and mini mode are temporary and not restored on the next launch
+    if (['kiosk', 'mini'].includes(this.windows.getMode(window))) return;
+
+    this.settings.window = {
+      ...this.settings.window,
+      maximized: window.isMaximized(),
+      fullscreen: window.isFullScreen()
+    };
+    this.saveSettings();
+  }
+
+  // Applies the main-process side of changed settings without a restart
+  applySettingChanges(keys) {
+    if (keys.includes('behavior.alwaysOnTop')) {
+      this.windows.getAll()
+        .filter((window) => this.windows.getMode(window) !== 'mini')
+        .forEach((window) => window.setAlwaysOnTop(this.settings.behavior.alwaysOnTop));
+    }
+
+    if (keys.includes('behavior.launchOnStartup')) {
+      this.setAutoLaunch(this.settings.behavior.launchOnStartup);
+    }
+
+    if (keys.some(isShortcutKey)) {
+      this.registerGlobalShortcuts();
+    }
+
+    if (keys.some((key) => TRAY_SETTING_KEYS.includes(key))) {
+      this.syncTray();
+    }
+  }
+
+  // Applies a hand edit of settings.json. Invalid edits are reported to the
+  // renderers and the last good settings are kept.
+  applyExternalSettings(data) {
+    let errors;
+    let next;
+
+    if (data instanceof Error) {
+      const code = data instanceof SyntaxError ? 'invalid-json' : 'invalid-type';
+      errors = [{ key: '', code, message: data.message }];
+    } else {
+      const { settings } = migrateSettings(data);
+      errors = validateSettings(settings);
+      next = normalizeSettings(settings).settings;
+      if (errors.length === 0) {
+        errors = this.checkShortcutChanges(next);
+      }
+    }
+
+    if (errors.length > 0) {
+      console.warn('Ignoring invalid settings file edit:', errors);
+      this.broadcast('settings-file-invalid', { errors });
+      return;
+    }
+
+    // The file already holds these values, so don't write it back, and don't
+    // let a write queued before the edit overwrite it either
+    this.settingsStore.cancelPendingWrite();
+    this.updateSettings(next, 'file', { persist: false });
+  }
+
+  // Single entry point for changing settings. Applies the main-process side
+  // effects, persists the result and tells every window which keys changed,
+  // so windows never need to poll. Window bounds are saved directly by the
+  // resize/move handlers instead, as they change continuously.
+  updateSettings(next, source, { persist = true } = {}) {
+    const changes = diffSettings(this.settings, next);
+    this.settings = next;
+    if (changes.length === 0) return changes;
+
+    this.applySettingChanges(changes.map(({ key }) => key));
+    if (persist) {
+      this.saveSettings();
+    } else {
+      this.profileStore.syncActive(this.settings);
+    }
+    this.updateTrayMenu();
+
+    this.broadcast('settings-changed', {
+      source,
+      changes: changes.map(({ key, to }) => ({ key, value: to })),
+      settings: this.settings
+    });
+    return changes;
+  }
+
+  // Checks the shortcuts of settings about to replace the live ones, when any
+  // of their keys or scopes change. Returns the errors of checkShortcutBindings.
+  checkShortcutChanges(next) {
+    const changedActions = diffSettings(this.settings, next)
+      .filter(({ key }) => isShortcutKey(key))
+      .map(({ key }) => key.split('.').pop());
+    return changedActions.length > 0 ? this.checkShortcutBindings(next, changedActions) : [];
+  }
+
+  // Validates every [key, value] entry first, then applies them together in a
+  // single update, or applies none of them if any entry is invalid. Returns
+  // a result per key.
+  applySettingsBatch(entries, source) {
+    const results = {};
+    entries.forEach(([key, value]) => {
+      const error = validateSetting(key, value);
+      results[key] = error ? { success: false, error } : { success: true };
+    });
+
+    // Invalid keys are never written, even into the copy
+    const next = structuredClone(this.settings);
+    entries.forEach(([key, value]) => {
+      if (results[key].success) setSettingValue(next, key, value);
+    });
+
+    // Shortcuts are also checked against each other and the OS, which needs
+    // all of them at once
+    if (Object.values(results).every((result) => result.success)) {
+      this.checkShortcutChanges(next).forEach((error) => {
+        results[error.key] = { success: false, error };
+      });
+    }
+
+    if (Object.values(results).some((result) => !result.success)) {
+      Object.entries(results).forEach(([key, result]) => {
+        if (result.success) {
+          results[key] = {
+            success: false,
+            error: { key, code: 'not-applied', message: 'Not saved because other settings in the batch are invalid' }
+          };
+        }
+      });
+      return { success: false, results };
+    }
+
+    this.updateSettings(next, source);
+    return { success: true, results, settings: this.settings };
+  }
+
+  // Sends a message to the renderer of every open window
+  broadcast(channel, payload) {
+    BrowserWindow.getAllWindows().forEach((window) => {
+      if (!window.isDestroyed()) {
+        window.webContents.send(channel, payload);
       }
     });
+  }
 
-    // DevTools can be opened manually with Ctrl+Shift+I or F12 in development
-    // Removed automatic opening to keep the interface clean
+  // Replaces the live settings with a stored profile and applies the difference
+  switchProfile(name) {
+    const profileSettings = this.profileStore.get(name);
+    const next = { ...profileSettings, window: this.settings.window };
+
+    const [error] = this.checkShortcutChanges(next);
+    if (error) {
+      throw new Error(`Profile "${name}" can't be used: ${error.key}: ${error.message}`);
+    }
+
+    // Activate first so saving doesn't write the new values into the old profile
+    this.profileStore.setActive(name);
+    this.updateSettings(next, 'profile');
+    this.broadcast('profile-changed', { profiles: this.profileStore.list() });
+  }
+
+  // Runs a profile store operation and reports the outcome to the renderer
+  handleProfileAction(action) {
+    try {
+      action();
+      this.updateTrayMenu();
+      return { success: true, profiles: this.profileStore.list() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
   }
 
   setupAutoLaunch() {
@@ -261,59 +786,298 @@ class MainWindow {
   }
 
 
-  setupEventHandlers() {
-    // IPC handlers for window controls
-    ipcMain.handle('window-minimize', () => {
-      if (this.window) {
-        if (this.settings.behavior?.minimizeToTray) {
-          // Ensure tray exists and hide window
-          if (!this.tray) this.createTray();
-          this.window.hide();
-        } else {
-          this.window.minimize();
+  // Commands run in a context of { window }: the window that triggered them,
+  // or the primary window when run from the tray or a global shortcut
+  registerCommands() {
+    const commands = [
+      { id: 'app.show', category: 'App', title: 'Show Windows', shortcut: 'show', handler: () => this.showWindows() },
+      { id: 'app.hide', category: 'App', title: 'Hide Windows', shortcut: 'hide', handler: () => this.hideWindows() },
+      {
+        id: 'app.command-palette',
+        category: 'App',
+        title: 'Show Command Palette',
+        shortcut: 'commandPalette',
+        handler: ({ window }) => {
+          if (!window) return;
+          if (window.isMinimized()) {
+            window.restore();
+          }
+          window.show();
+          window.focus();
+          window.webContents.send('open-command-palette');
+        }
+      },
+      {
+        id: 'app.quit',
+        category: 'App',
+        title: 'Quit',
+        handler: () => {
+          this.isForceQuitting = true;
+          app.quit();
+        }
+      },
+      { id: 'window.new', category: 'Window', title: 'New Window', handler: ({ window }) => { this.openWindow('home', { from: window }); } },
+      { id: 'window.close', category: 'Window', title: 'Close Window', shortcut: 'close', handler: ({ window }) => window?.close() },
+      { id: 'window.minimize', category: 'Window', title: 'Minimize Window', shortcut: 'minimize', handler: ({ window }) => window?.minimize() },
+      {
+        id: 'window.maximize',
+        category: 'Window',
+        title: 'Maximize / Restore Window',
+        shortcut: 'maximize',
+        handler: ({ window }) => {
+          if (window) {
+            if (window.isMaximized()) {
+              window.unmaximize();
+            } else {
+              window.maximize();
+            }
+          }
+        }
+      },
+      ...WINDOW_MODES.map((mode) => ({
+        id: `window.mode.${mode}`,
+        category: 'Window',
+        title: `Toggle ${WINDOW_MODE_TITLES[mode]} Mode`,
+        shortcut: mode,
+        handler: ({ window }) => {
+          if (window) {
+            window.show();
+            this.toggleWindowMode(window, mode);
+          }
+        }
+      })),
+      ...WindowManager.PAGES.map((page) => {
+        const title = page.charAt(0).toUpperCase() + page.slice(1);
+        return {
+          id: `page.${page}`,
+          category: 'Go to',
+          title,
+          shortcut: `page${title}`,
+          handler: ({ window }) => this.showPage(page, window)
+        };
+      }),
+      {
+        id: 'settings.toggle-theme',
+        category: 'Settings',
+        title: 'Toggle Dark / Light Theme',
+        handler: () => {
+          const { theme } = this.settings.appearance;
+          const isDark = theme === 'dark' || (theme === 'auto' && nativeTheme.shouldUseDarkColors);
+          return this.applySettingsBatch([['appearance.theme', isDark ? 'light' : 'dark']], 'command');
         }
+      },
+      ...TRAY_TOGGLES.map(({ key, title }) => ({
+        id: `settings.toggle.${key}`,
+        category: 'Settings',
+        title,
+        handler: () => this.applySettingsBatch([[key, !getSettingValue(this.settings, key)]], 'command')
+      })),
+      { id: 'settings.export', category: 'Settings', title: 'Export Settings...', handler: ({ window }) => this.exportSettings(window) }
+    ];
+    commands.forEach((command) => this.commands.register(command));
+
+    // Layouts and profiles change as the user saves them, so they are listed on demand
+    this.commands.registerProvider(() => listLayouts(this.settings.layouts.custom).map((layout) => ({
+      id: `layout.${layout.id}`,
+      category: 'Layout',
+      title: layout.label,
+      shortcut: layout.shortcut || null,
+      handler: ({ window }) => {
+        if (window) {
+          window.show();
+          this.applyWindowLayout(window, layout.id);
+        }
+      }
+    })));
+    this.commands.registerProvider(() => this.profileStore.list().names.map((name) => ({
+      id: `profile.${name}`,
+      category: 'Profile',
+      title: `Switch to ${name}`,
+      handler: () => this.switchProfile(name)
+    })));
+  }
+
+  runCommand(id, window = this.windows.getPrimary()) {
+    return this.commands.execute(id, { window });
+  }
+
+  // Commands as the renderer sees them, with their current shortcut keys
+  describeCommand(command) {
+    const shortcuts = this.settings.advanced.keyboardShortcuts;
+    return {
+      id: command.id,
+      title: command.title,
+      category: command.category,
+      shortcut: (command.shortcut && shortcuts[command.shortcut]) || null
+    };
+  }
+
+  // Registers handler for a channel of the IPC contract. Calls from anywhere
+  // but the app's own pages, and calls whose arguments don't match the
+  // contract, are refused before they reach handler; like a handler that
+  // throws, they resolve to a structured error instead of rejecting.
+  handle(channel, handler) {
+    if (!INVOKE_CHANNELS[channel]) {
+      throw new Error(`IPC channel "${channel}" is not in the IPC contract`);
+    }
+
+    ipcMain.handle(channel, async (event, ...args) => {
+      const refusal = this.checkIpcSender(event, channel) || validateInvoke(channel, args);
+      if (refusal) {
+        console.warn(`Refused IPC call to ${channel}:`, refusal.error);
+        return refusal;
       }
+
+      let result;
+      try {
+        result = await handler(event, ...args);
+      } catch (error) {
+        console.error(`Error handling IPC call to ${channel}:`, error);
+        return ipcError('handler-failed', error.message);
+      }
+
+      const invalid = validateResult(channel, result);
+      if (invalid) {
+        console.error(`Invalid result from IPC call to ${channel}:`, invalid.error);
+        return invalid;
+      }
+      return result;
     });
+  }
 
-    ipcMain.handle('window-maximize', () => {
-      if (this.window) {
-        if (this.window.isMaximized()) {
-          this.window.unmaximize();
-        } else {
-          this.window.maximize();
-        }
+  // IPC may only come from the top frame of an app page, in an app window or,
+  // for the channels the splash screen uses, the splash window
+  checkIpcSender(event, channel) {
+    const frame = event.senderFrame;
+    if (!frame || frame.parent !== null || !isTrustedUrl(frame.url, RENDERER_DIR)) {
+      return ipcError('untrusted-sender', 'IPC calls are only accepted from the app\'s own pages');
+    }
+
+    const fromSplash = Boolean(this.splashWindow && !this.splashWindow.isDestroyed() &&
+      event.sender === this.splashWindow.webContents);
+    if (!this.windows.fromEvent(event) && !(fromSplash && INVOKE_CHANNELS[channel].splash)) {
+      return ipcError('untrusted-sender', `"${channel}" is not available to this window`);
+    }
+    return null;
+  }
+
+  setupEventHandlers() {
+    // IPC handlers for window controls act on the window that sent them
+    this.handle('window-minimize', (event) => {
+      const window = this.windows.fromEvent(event);
+      if (!window) return;
+
+      if (this.settings.behavior?.minimizeToTray && this.hasTray()) {
+        window.hide();
+      } else {
+        window.minimize();
       }
     });
 
-    ipcMain.handle('window-close', () => {
-      if (this.window) {
-        if (this.settings.behavior?.closeToTray) {
-          // Ensure tray exists and hide window
-          if (!this.tray) this.createTray();
-          this.window.hide();
-        } else {
-          this.window.close();
-        }
+    this.handle('window-maximize', (event) => {
+      const window = this.windows.fromEvent(event);
+      if (!window) return;
+
+      if (window.isMaximized()) {
+        window.unmaximize();
+      } else {
+        window.maximize();
       }
     });
 
-    ipcMain.handle('window-is-maximized', () => {
-      return this.window ? this.window.isMaximized() : false;
+    // The close handler decides whether the window goes to the tray
+    this.handle('window-close', (event) => {
+      this.windows.fromEvent(event)?.close();
+    });
+
+    this.handle('window-is-maximized', (event) => {
+      return this.windows.fromEvent(event)?.isMaximized() || false;
+    });
+
+    this.handle('window-toggle-mode', (event, mode) => {
+      const window = this.windows.fromEvent(event);
+      if (!window) {
+        return { success: false, error: 'Not an app window' };
+      }
+      if (!WINDOW_MODES.includes(mode)) {
+        return { success: false, error: `Unknown window mode "${mode}"` };
+      }
+
+      return { success: true, mode: this.toggleWindowMode(window, mode) };
+    });
+
+    // Window layouts
+    this.handle('window-show-layout-menu', (event, position) => {
+      const window = this.windows.fromEvent(event);
+      return window ? this.showLayoutMenu(window, position) : null;
+    });
+
+    this.handle('window-apply-layout', (event, id) => {
+      const window = this.windows.fromEvent(event);
+      if (!window || !this.applyWindowLayout(window, id)) {
+        return { success: false, error: `Unknown layout "${id}"` };
+      }
+      return { success: true };
+    });
+
+    this.handle('window-save-layout', (event, name) => {
+      const window = this.windows.fromEvent(event);
+      if (!window) {
+        return { success: false, error: 'Not an app window' };
+      }
+      return this.saveWindowLayout(window, name);
+    });
+
+    this.handle('window-delete-layout', (event, name) => {
+      return this.deleteWindowLayout(name);
+    });
+
+    this.handle('window-get-mode', (event) => {
+      const window = this.windows.fromEvent(event);
+      return window ? this.windows.getMode(window) : null;
+    });
+
+    // Opens another app window, on the sender's current page unless a page is given
+    this.handle('open-new-window', (event, page) => {
+      const from = this.windows.fromEvent(event);
+      const target = page ?? (from ? this.windows.getPage(from) : 'home');
+      if (!WindowManager.isValidPage(target)) {
+        return { success: false, error: `Unknown page "${page}"` };
+      }
+
+      this.openWindow(target, { from });
+      return { success: true };
+    });
+
+    this.handle('set-current-page', (event, page) => {
+      const window = this.windows.fromEvent(event);
+      if (window && WindowManager.isValidPage(page)) {
+        this.windows.setPage(window, page);
+      }
     });
 
     // Settings IPC handlers
-    ipcMain.handle('get-settings', () => {
+    this.handle('get-settings', () => {
       return this.settings;
     });
 
-    ipcMain.handle('save-settings', (event, newSettings) => {
-      this.settings = { ...this.settings, ...newSettings };
-      this.saveSettings();
-      return this.settings;
+    // Deep-merges a nested, possibly partial settings object
+    this.handle('save-settings', (event, newSettings) => {
+      const errors = validateSettings(newSettings);
+      if (errors.length > 0) {
+        return { success: false, errors };
+      }
+
+      return this.applySettingsBatch(flattenSettings(newSettings), 'ipc');
+    });
+
+    // Saves a flat { 'dotted.key': value } map in one transaction
+    this.handle('save-settings-batch', (event, changes) => {
+      return this.applySettingsBatch(Object.entries(changes), 'ipc');
     });
 
     // Splash screen IPC handlers
-    ipcMain.handle('splash-complete', () => {
+    this.handle('splash-complete', () => {
       console.log('Received splash-complete signal');
       // Add a small delay to ensure splash animations complete
       setTimeout(() => {
@@ -322,115 +1086,207 @@ class MainWindow {
     });
 
     // Settings management handlers
-    ipcMain.handle('save-setting', (event, key, value) => {
-      const keys = key.split('.');
-      let current = this.settings;
-      
-      for (let i = 0; i < keys.length - 1; i++) {
-        if (!current[keys[i]]) {
-          current[keys[i]] = {};
-        }
-        current = current[keys[i]];
-      }
-      
-      current[keys[keys.length - 1]] = value;
-      
-      // Apply settings immediately for certain keys
-      if (key === 'behavior.alwaysOnTop' && this.window) {
-        this.window.setAlwaysOnTop(value);
-      } else if (key === 'behavior.launchOnStartup') {
-        this.setAutoLaunch(value);
+    this.handle('save-setting', (event, key, value) => {
+      const { success, results } = this.applySettingsBatch([[key, value]], 'ipc');
+      if (!success) {
+        return { success: false, error: Object.values(results).find(({ error }) => error.code !== 'not-applied').error };
       }
-      
-      this.saveSettings();
-      return true;
+
+      return { success: true };
     });
 
-    ipcMain.handle('navigate-to-page', (event, pageName) => {
-      if (this.window) {
-        this.window.webContents.send('navigate-to-page', pageName);
+    // Settings management handlers
+    this.handle('restore-default-settings', () => {
+      const next = getDefaults();
+      const errors = this.checkShortcutChanges(next);
+      if (errors.length > 0) {
+        return { success: false, errors };
       }
+
+      this.updateSettings(next, 'defaults');
+      return { success: true, settings: this.settings };
     });
 
-    // Settings management handlers
-    ipcMain.handle('restore-default-settings', () => {
-      this.settings = {
-        appearance: {
-          theme: "dark",
-          fontFamily: "inconsolata",
-          fontSize: "small",
-          accentColor: "#28ca42",
-          titlebarButtonStyle: "square"
-        },
-        behavior: {
-          defaultWindowState: "normal",
-          rememberWindowSize: true,
-          launchOnStartup: false,
-          startMinimizedToTray: true,
-          minimizeToTray: false,
-          closeToTray: true,
-          alwaysOnTop: false
-        },
-        advanced: {
-          keyboardShortcuts: {
-            close: "Ctrl+Q",
-            minimize: "Ctrl+M",
-            maximize: "Ctrl+Shift+M",
-            show: "Ctrl+Shift+S",
-            hide: "Ctrl+H"
-          }
-        },
-        window: {
-          width: 1200,
-          height: 800,
-          x: null,
-          y: null
-        }
-      };
-      this.saveSettings();
-      return this.settings;
+    this.handle('export-settings', (event) => {
+      return this.exportSettings(this.windows.fromEvent(event));
+    });
+
+    this.handle('list-commands', (event, query) => {
+      return { success: true, commands: searchCommands(this.commands.list(), query ?? '').map((command) => this.describeCommand(command)) };
+    });
+
+    // Only the outcome goes back: handler results can be windows or other
+    // objects IPC can't send
+    this.handle('execute-command', async (event, id) => {
+      const { success, error } = await this.runCommand(id, this.windows.fromEvent(event));
+      return success ? { success } : { success, error };
     });
 
-    ipcMain.handle('export-settings', async () => {
+    this.handle('import-settings', async (event) => {
       const { dialog } = require('electron');
-      
-      const result = await dialog.showSaveDialog(this.window, {
-        title: 'Export Settings',
-        defaultPath: 'settings.json',
+
+      const result = await dialog.showOpenDialog(this.windows.fromEvent(event), {
+        title: 'Import Settings',
         filters: [
           { name: 'JSON Files', extensions: ['json'] },
           { name: 'All Files', extensions: ['*'] }
         ],
-        properties: ['createDirectory']
+        properties: ['openFile']
       });
 
-      if (!result.canceled && result.filePath) {
-        try {
-          const fs = require('fs');
-          fs.writeFileSync(result.filePath, JSON.stringify(this.settings, null, 2));
-          return { success: true, path: result.filePath };
-        } catch (error) {
-          return { success: false, error: error.message };
-        }
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: false, canceled: true };
       }
-      
-      return { success: false, canceled: true };
+
+      const filePath = result.filePaths[0];
+      let parsed;
+      try {
+        parsed = parseSettingsExport(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        return { success: false, path: filePath, error: error.message };
+      }
+      if (!parsed.settings) {
+        return { success: false, path: filePath, ...parsed };
+      }
+      const imported = parsed.settings;
+
+      // Held for this window until its preview is confirmed through
+      // apply-imported-settings or dismissed through cancel-imported-settings
+      const changes = diffSettings(this.settings, imported);
+      if (changes.length > 0) {
+        this.pendingImports.set(event.sender, imported);
+      } else {
+        this.pendingImports.delete(event.sender);
+      }
+      return { success: true, path: filePath, changes };
+    });
+
+    this.handle('apply-imported-settings', (event) => {
+      const imported = this.pendingImports.get(event.sender);
+      if (!imported) {
+        return { success: false, error: 'No settings import is pending' };
+      }
+      this.pendingImports.delete(event.sender);
+
+      // Settings may have changed since the preview, so diff against them again
+      const next = structuredClone(this.settings);
+      diffSettings(this.settings, imported).forEach(({ key, to }) => setSettingValue(next, key, to));
+      const errors = this.checkShortcutChanges(next);
+      if (errors.length > 0) {
+        return { success: false, errors };
+      }
+
+      this.updateSettings(next, 'import');
+      return { success: true, settings: this.settings };
+    });
+
+    this.handle('cancel-imported-settings', (event) => {
+      this.pendingImports.delete(event.sender);
+    });
+
+    // Settings profile handlers
+    this.handle('get-profiles', () => {
+      return this.profileStore.list();
     });
 
-    ipcMain.handle('update-global-shortcuts', () => {
+    this.handle('switch-profile', (event, name) => {
+      return this.handleProfileAction(() => this.switchProfile(name));
+    });
+
+    this.handle('create-profile', (event, name) => {
+      return this.handleProfileAction(() => this.profileStore.create(name, getDefaults()));
+    });
+
+    this.handle('duplicate-profile', (event, name, newName) => {
+      return this.handleProfileAction(() => this.profileStore.duplicate(name, newName));
+    });
+
+    this.handle('rename-profile', (event, name, newName) => {
+      return this.handleProfileAction(() => this.profileStore.rename(name, newName));
+    });
+
+    this.handle('delete-profile', (event, name) => {
+      return this.handleProfileAction(() => {
+        // Deleting the active profile switches to the first remaining one
+        if (name === this.profileStore.activeProfile) {
+          const fallback = this.profileStore.list().names.find((profileName) => profileName !== name);
+          if (fallback) this.switchProfile(fallback);
+        }
+        this.profileStore.remove(name);
+      });
+    });
+
+    this.handle('update-global-shortcuts', () => {
       this.updateGlobalShortcuts();
       return true;
     });
 
-    // Handle maximize/unmaximize events to update UI
-    if (this.window) {
-      this.window.on('maximize', () => {
-        this.window.webContents.send('window-maximized');
-      });
+    // While a window records a shortcut, keys reach it instead of running commands
+    this.handle('window-suspend-shortcuts', (event, suspended) => {
+      const window = this.windows.fromEvent(event);
+      if (!window) return;
 
-      this.window.on('unmaximize', () => {
-        this.window.webContents.send('window-unmaximized');
-      });
+      this.shortcutDispatchers.get(window)?.setSuspended(suspended);
+      if (suspended) {
+        this.unregisterGlobalShortcuts();
+      } else {
+        this.registerGlobalShortcuts();
+      }
+    });
+
+    // Turns the keys a window recorded, one KeyboardEvent per chord step, into
+    // a shortcut. complete is true once no further step can follow.
+    this.handle('describe-shortcut', (event, keys) => {
+      const steps = keys.map(acceleratorFromKeyEvent);
+      const unusable = keys.find((key, index) => !steps[index]);
+      if (unusable) {
+        return { success: false, error: `"${unusable.key}" can't be used in a shortcut` };
+      }
+
+      const shortcut = steps.join(' ');
+      const error = validateShortcut(shortcut);
+      if (error) {
+        return { success: false, error: error.message };
+      }
+      return { success: true, shortcut, complete: steps.length >= MAX_CHORD_STEPS };
+    });
+
+    // Global shortcuts the OS refused when they were last registered
+    this.handle('get-shortcut-errors', () => {
+      return this.shortcutErrors;
+    });
+
+    this.handle('get-default-settings', () => {
+      return getDefaults();
+    });
+
+    this.handle('set-tray-status', (event, status) => {
+      return this.setTrayStatus(status);
+    });
+
+    // Redraw the tray icon in the variant matching the new OS theme
+    nativeTheme.on('updated', () => this.applyTrayStatus());
+
+    // Unplugging a monitor can leave the window somewhere nobody can reach it
+    screen.on('display-removed', () => this.ensureWindowsOnScreen());
+  }
+
+  hasTray() {
+    return Boolean(this.tray && !this.tray.isDestroyed());
+  }
+
+  // Creates or removes the tray icon to match the tray settings
+  syncTray() {
+    const wanted = TRAY_SETTING_KEYS.some((key) => getSettingValue(this.settings, key));
+
+    if (wanted) {
+      this.createTray();
+    } else if (this.hasTray()) {
+      // Windows hidden to the tray would be unreachable without it
+      if (this.windows.count > 0 && !this.isAnyWindowVisible()) {
+        this.showWindows();
+      }
+      this.destroyTray();
     }
   }
 
@@ -438,59 +1294,30 @@ class MainWindow {
     if (this.tray) return; // Tray already exists
 
     try {
-      // Create tray icon
-      const trayIconPath = path.join(__dirname, '../../assets/favicon.ico');
-      
-      // Check if icon file exists
-      if (!fs.existsSync(trayIconPath)) {
-        console.error('Tray icon file not found:', trayIconPath);
-        return;
-      }
-
-      this.tray = new Tray(trayIconPath);
+      // Create tray icon, drawn for the current status and theme
+      this.tray = new Tray(this.createTrayImage());
       
       // Set initial tray menu
       this.updateTrayMenu();
 
-      // Set tray properties with enhanced styling
-      this.tray.setToolTip('FlexCore Template - Double-click to toggle, Right-click for menu');
+      // Set tray tooltip and badge from the current status
+      this.applyTrayStatus();
       
       // Platform-specific tray enhancements
       if (process.platform === 'win32') {
         // Windows-specific tray styling
         this.tray.setIgnoreDoubleClickEvents(false);
-      } else if (process.platform === 'darwin') {
-        // macOS-specific tray styling
-        this.tray.setPressedImage(trayIconPath);
       }
       
-      // Handle tray double-click (show/hide window)
+      // Handle tray double-click (show/hide windows)
       this.tray.on('double-click', () => {
-        if (this.window && !this.window.isDestroyed()) {
-          if (this.window.isVisible()) {
-            this.window.hide();
-          } else {
-            this.window.show();
-            this.window.focus();
-          }
-          // Update menu after visibility change
-          setTimeout(() => this.updateTrayMenu(), 100);
-        }
+        this.toggleWindows();
       });
 
-      // Handle single click for Windows/Linux (show/hide window)
+      // Handle single click for Windows/Linux (show/hide windows)
       this.tray.on('click', () => {
         if (process.platform !== 'darwin') { // Don't handle click on macOS, use double-click instead
-          if (this.window && !this.window.isDestroyed()) {
-            if (this.window.isVisible()) {
-              this.window.hide();
-            } else {
-              this.window.show();
-              this.window.focus();
-            }
-            // Update menu after visibility change
-            setTimeout(() => this.updateTrayMenu(), 100);
-          }
+          this.toggleWindows();
         }
       });
 
@@ -500,10 +1327,131 @@ class MainWindow {
     }
   }
 
+  createTrayImage() {
+    const scaleFactor = Math.ceil(screen.getPrimaryDisplay().scaleFactor);
+    const { width, height, data } = renderTrayIcon({
+      size: TRAY_ICON_SIZE * scaleFactor,
+      dark: nativeTheme.shouldUseDarkColors,
+      state: this.trayStatus.state,
+      // macOS shows the count as text next to the icon instead
+      badgeCount: process.platform === 'darwin' ? 0 : this.trayStatus.badgeCount
+    });
+    return nativeImage.createFromBitmap(data, { width, height, scaleFactor });
+  }
+
+  // Updates the tray icon, tooltip and badge from this.trayStatus
+  applyTrayStatus() {
+    const { tooltip, badgeCount } = this.trayStatus;
+
+    // The dock (macOS) and Unity launchers (Linux) have a native badge
+    if (process.platform === 'darwin' || process.platform === 'linux') {
+      app.setBadgeCount(badgeCount);
+    }
+
+    if (!this.tray || this.tray.isDestroyed()) return;
+    this.tray.setImage(this.createTrayImage());
+    this.tray.setToolTip(tooltip || DEFAULT_TRAY_TOOLTIP);
+    if (process.platform === 'darwin') {
+      this.tray.setTitle(badgeCount > 0 ? String(badgeCount) : '');
+    }
+  }
+
+  // Merges a partial { state, tooltip, badgeCount } status from the renderer
+  // into the current one. A null tooltip restores the default.
+  setTrayStatus(status) {
+    if (!status || typeof status !== 'object' || Array.isArray(status)) {
+      return { success: false, error: 'Expected a tray status object' };
+    }
+
+    const next = { ...this.trayStatus };
+    if (status.state !== undefined) {
+      if (!TRAY_STATES.includes(status.state)) {
+        return { success: false, error: `Tray state must be one of: ${TRAY_STATES.join(', ')}` };
+      }
+      next.state = status.state;
+    }
+    if (status.tooltip !== undefined) {
+      if (status.tooltip !== null && (typeof status.tooltip !== 'string' || status.tooltip.length > MAX_TRAY_TOOLTIP_LENGTH)) {
+        return { success: false, error: `Tray tooltip must be text of at most ${MAX_TRAY_TOOLTIP_LENGTH} characters` };
+      }
+      next.tooltip = status.tooltip;
+    }
+    if (status.badgeCount !== undefined) {
+      if (!Number.isInteger(status.badgeCount) || status.badgeCount < 0) {
+        return { success: false, error: 'Badge count must be a whole number of 0 or more' };
+      }
+      next.badgeCount = status.badgeCount;
+    }
+
+    this.trayStatus = next;
+    this.applyTrayStatus();
+    return { success: true, status: next };
+  }
+
+  // Saves the current settings to a file the user picks
+  async exportSettings(window) {
+    const { dialog } = require('electron');
+    
+    const result = await dialog.showSaveDialog(window, {
+      title: 'Export Settings',
+      defaultPath: 'settings.json',
+      filters: [
+        { name: 'JSON Files', extensions: ['json'] },
+        { name: 'All Files', extensions: ['*'] }
+      ],
+      properties: ['createDirectory']
+    });
+
+    if (!result.canceled && result.filePath) {
+      try {
+        fs.writeFileSync(result.filePath, JSON.stringify(versionSettings(this.settings), null, 2));
+        return { success: true, path: result.filePath };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+    
+    return { success: false, canceled: true };
+  }
+
+  isAnyWindowVisible() {
+    return this.windows.getAll().some((window) => window.isVisible());
+  }
+
+  toggleWindows() {
+    if (this.isAnyWindowVisible()) {
+      this.hideWindows();
+    } else {
+      this.showWindows();
+    }
+  }
+
+  // Brings window (by default the focused or most recent one) to the front
+  // on page, opening a window if there is none
+  showPage(page, window = this.windows.getPrimary()) {
+    if (!window) {
+      this.openWindow(page);
+      return;
+    }
+
+    if (window.isMinimized()) {
+      window.restore();
+    }
+    window.show();
+    window.focus();
+    window.webContents.send('navigate-to-page', page);
+  }
+
+  // Rebuilt whenever window visibility, the focused window's state or the
+  // settings change, so it never shows stale state
   updateTrayMenu() {
     if (!this.tray) return; // No tray to update
     
-    const isVisible = this.window && !this.window.isDestroyed() && this.window.isVisible();
+    const isVisible = this.isAnyWindowVisible();
+    const shortcuts = this.settings.advanced?.keyboardShortcuts || {};
+    const profiles = this.profileStore.list();
+    const primaryWindow = this.windows.getPrimary();
+    const primaryMode = primaryWindow ? this.windows.getMode(primaryWindow) : null;
     
     // Create dynamic context menu based on window visibility
     const contextMenu = Menu.buildFromTemplate([
@@ -516,33 +1464,67 @@ class MainWindow {
       // Show 'Show' only when window is hidden
       ...(isVisible ? [] : [{
         label: 'SHOW',
-        accelerator: 'CmdOrCtrl+Shift+S',
-        click: () => {
-          if (this.window && !this.window.isDestroyed()) {
-            this.window.show();
-            this.window.focus();
-            setTimeout(() => this.updateTrayMenu(), 100);
-          }
-        }
+        accelerator: menuAccelerator(shortcuts.show),
+        registerAccelerator: false, // Handled as a global or in-app shortcut
+        click: () => this.runCommand('app.show')
       }]),
       // Show 'Hide' only when window is visible
       ...(isVisible ? [{
         label: 'HIDE',
-        accelerator: 'CmdOrCtrl+Shift+H',
-        click: () => {
-          if (this.window && !this.window.isDestroyed()) {
-            this.window.hide();
-            setTimeout(() => this.updateTrayMenu(), 100);
-          }
-        }
+        accelerator: menuAccelerator(shortcuts.hide),
+        registerAccelerator: false,
+        click: () => this.runCommand('app.hide')
       }] : []),
+      {
+        label: 'NEW WINDOW',
+        click: () => this.runCommand('window.new')
+      },
+      { type: 'separator' },
+      ...[
+        { page: 'home', label: 'HOME' },
+        { page: 'configs', label: 'CONFIGS' },
+        { page: 'details', label: 'DETAILS' }
+      ].map(({ page, label }) => ({
+        label,
+        click: () => this.runCommand(`page.${page}`)
+      })),
+      { type: 'separator' },
+      {
+        label: 'LAYOUT',
+        enabled: Boolean(primaryWindow),
+        submenu: this.buildLayoutMenuItems(() => this.windows.getPrimary())
+      },
+      {
+        label: 'WINDOW MODE',
+        enabled: Boolean(primaryWindow),
+        submenu: WINDOW_MODES.map((mode) => ({
+          label: WINDOW_MODE_TITLES[mode],
+          type: 'checkbox',
+          checked: primaryMode === mode,
+          click: () => this.runCommand(`window.mode.${mode}`)
+        }))
+      },
+      { type: 'separator' },
+      ...TRAY_TOGGLES.map(({ key, label }) => ({
+        label,
+        type: 'checkbox',
+        checked: Boolean(getSettingValue(this.settings, key)),
+        click: () => this.runCommand(`settings.toggle.${key}`)
+      })),
+      {
+        label: 'PROFILE',
+        submenu: profiles.names.map((name) => ({
+          label: name,
+          type: 'radio',
+          checked: name === profiles.active,
+          click: () => this.runCommand(`profile.${name}`)
+        }))
+      },
+      { type: 'separator' },
       {
         label: 'QUIT',
         accelerator: process.platform === 'darwin' ? 'Cmd+Q' : 'Ctrl+Q',
-        click: () => {
-          this.isForceQuitting = true;
-          app.quit();
-        }
+        click: () => this.runCommand('app.quit')
       }
     ]);
 
@@ -557,9 +1539,9 @@ class MainWindow {
     console.log('closeSplashAndShowMain called');
     
     // Create main window now if it doesn't exist
-    if (!this.window) {
+    if (this.windows.count === 0) {
       console.log('Creating main window');
-      this.createWindow();
+      this.openWindow(this.launchPage || 'home', { startup: true });
     }
 
     // Close splash window
@@ -570,19 +1552,40 @@ class MainWindow {
       this.splashWindow = null;
     }
 
-    // Show main window
-    if (this.window) {
-      console.log('Showing main window');
-      if (this.settings.behavior?.startMinimizedToTray) {
-        console.log('Starting minimized to tray');
-        this.createTray();
-      } else {
-        console.log('Showing and focusing main window');
-        this.window.show();
-        this.window.focus();
-      }
-    } else {
-      console.log('Main window not ready yet');
+    // The main window shows itself (or goes to the tray) on ready-to-show,
+    // once its content and initial window state are in place
+  }
+
+  getLaunchPage(argv) {
+    const { page } = parseLaunchArgs(argv);
+    return WindowManager.isValidPage(page) ? page : null;
+  }
+
+  // A second launch of the app forwards its command line here instead of
+  // starting another instance: bring the app to the front, out of the tray if
+  // needed, and open the requested page
+  handleSecondInstance(argv) {
+    const page = this.getLaunchPage(argv);
+
+    // Still on the splash screen: the main window opens on that page shortly
+    if (this.splashWindow) {
+      this.launchPage = page || this.launchPage;
+      this.revealOnStartup = true;
+      return;
+    }
+
+    const window = this.windows.getPrimary();
+    if (!window) {
+      this.openWindow(page || 'home');
+      return;
+    }
+
+    if (window.isMinimized()) {
+      window.restore();
+    }
+    this.showWindows();
+    if (page) {
+      window.webContents.send('navigate-to-page', page);
     }
   }
 
@@ -595,21 +1598,38 @@ class MainWindow {
   }
 }
 
+// Only one instance runs at a time; later launches hand their arguments over
+// to it (see handleSecondInstance) and exit. The argv is passed as additional
+// data because Chromium may rewrite the command line it reports.
+const hasInstanceLock = app.requestSingleInstanceLock({ argv: process.argv });
+if (!hasInstanceLock) {
+  app.quit();
+}
+
 // App event handlers
 app.whenReady().then(() => {
+  if (!hasInstanceLock) return;
+
   const mainWindow = new MainWindow();
+
+  app.on('second-instance', (event, argv, workingDirectory, additionalData) => {
+    mainWindow.handleSecondInstance(additionalData?.argv || argv);
+  });
   
-  // Ensure tray is destroyed when app is quitting
+  // Write pending settings and destroy the tray when app is quitting
   app.on('before-quit', () => {
+    mainWindow.settingsStore.unwatch();
+    mainWindow.flushSettings();
+
     if (mainWindow && mainWindow.destroyTray) {
       mainWindow.destroyTray();
     }
   });
 
   app.on('activate', () => {
-    // On macOS, re-create window when dock icon is clicked
+    // On macOS, re-open a window when dock icon is clicked
     if (BrowserWindow.getAllWindows().length === 0) {
-      new MainWindow();
+      mainWindow.openWindow();
     }
   });
 });
@@ -640,72 +1660,120 @@ app.on('web-contents-created', (event, contents) => {
   });
 });
 
-// Add global shortcut methods to MainWindow class
+// The bound shortcuts of one scope ('global' or 'app'), as [action, accelerator]
+MainWindow.prototype.getScopedShortcuts = function(scope) {
+  const shortcuts = this.settings.advanced?.keyboardShortcuts || {};
+  const scopes = this.settings.advanced?.shortcutScopes || {};
+
+  return Object.entries(shortcuts)
+    .filter(([action, accelerator]) => accelerator && (scopes[action] || 'app') === scope);
+};
+
+// Global shortcuts are registered system-wide; in-app ones are matched in each
+// window's before-input-event handler instead, so they never take keys away
+// from other applications. Shortcuts the OS refuses are kept in
+// shortcutErrors so the Configs page can show them.
 MainWindow.prototype.registerGlobalShortcuts = function() {
   const { globalShortcut } = require('electron');
   
-  // Clear existing shortcuts
-  if (this.globalShortcuts) {
-    this.globalShortcuts.forEach((accelerator) => {
-      globalShortcut.unregister(accelerator);
-    });
-    this.globalShortcuts.clear();
-  }
-
-  const shortcuts = this.settings.advanced?.keyboardShortcuts;
-  if (!shortcuts) return;
-
-  // Register shortcuts
-  const shortcutActions = {
-    close: () => {
-      if (this.window) {
-        this.window.close();
-      }
-    },
-    minimize: () => {
-      if (this.window) {
-        this.window.minimize();
-      }
-    },
-    maximize: () => {
-      if (this.window) {
-        if (this.window.isMaximized()) {
-          this.window.unmaximize();
-        } else {
-          this.window.maximize();
-        }
-      }
-    },
-    show: () => {
-      if (this.window) {
-        this.window.show();
-        this.window.focus();
-      }
-    },
-    hide: () => {
-      if (this.window) {
-        this.window.hide();
-      }
-    }
-  };
+  this.unregisterGlobalShortcuts();
+  this.shortcutErrors = [];
 
-  Object.entries(shortcuts).forEach(([action, accelerator]) => {
-    if (accelerator && shortcutActions[action]) {
+  // Shortcuts run the command bound to them, on the primary window
+  this.getScopedShortcuts('global').forEach(([action, accelerator]) => {
+    const command = this.commands.findByShortcut(action);
+    if (isChord(accelerator)) {
+      this.shortcutErrors.push(globalChordError(action));
+    } else if (command) {
       try {
-        const success = globalShortcut.register(accelerator, shortcutActions[action]);
+        const success = globalShortcut.register(accelerator, () => this.runCommand(command.id));
         if (success) {
           this.globalShortcuts.set(action, accelerator);
           console.log(`Registered global shortcut: ${accelerator} for ${action}`);
         } else {
           console.warn(`Failed to register global shortcut: ${accelerator} for ${action}`);
+          this.shortcutErrors.push(shortcutRegistrationError(action));
         }
       } catch (error) {
         console.error(`Error registering shortcut ${accelerator}:`, error);
+        this.shortcutErrors.push(shortcutRegistrationError(action));
       }
     }
   });
 };
 
+MainWindow.prototype.unregisterGlobalShortcuts = function() {
+  const { globalShortcut } = require('electron');
+
+  this.globalShortcuts.forEach((accelerator) => {
+    globalShortcut.unregister(accelerator);
+  });
+  this.globalShortcuts.clear();
+};
+
+function shortcutRegistrationError(action) {
+  return {
+    key: `advanced.keyboardShortcuts.${action}`,
+    code: 'registration-failed',
+    message: 'In use by another application; choose other keys or make it an in-app shortcut'
+  };
+}
+
+// The OS only registers single key combinations system-wide
+function globalChordError(action) {
+  return {
+    key: `advanced.keyboardShortcuts.${action}`,
+    code: 'invalid-scope',
+    message: 'Chords only work as in-app shortcuts'
+  };
+}
+
+// Checks the shortcuts of a settings object before it is saved: no two
+// actions may share keys, and global shortcuts must be single key
+// combinations. Only the global shortcuts of changedActions are tried with
+// the OS; one that stays as it was and is refused, e.g. because another app
+// took it since, doesn't block the update but ends up in shortcutErrors when
+// the shortcuts are registered again. Returns errors keyed by the shortcut's
+// setting key.
+MainWindow.prototype.checkShortcutBindings = function(settings, changedActions) {
+  const { globalShortcut } = require('electron');
+  const shortcuts = settings.advanced.keyboardShortcuts;
+  const scopes = settings.advanced.shortcutScopes;
+
+  // A chord's first step can't be a shortcut of its own either
+  const errors = findConflicts(shortcuts).map(({ action, conflictsWith }) => ({
+    key: `advanced.keyboardShortcuts.${action}`,
+    code: 'conflict',
+    message: `Conflicts with the ${describeShortcut(conflictsWith)} shortcut`
+  }));
+
+  Object.entries(shortcuts)
+    .filter(([action, accelerator]) => scopes[action] === 'global' && isChord(accelerator))
+    .forEach(([action]) => errors.push(globalChordError(action)));
+
+  // Try each changed global shortcut; ones this app holds already are free to reuse
+  Object.entries(shortcuts)
+    .filter(([action, accelerator]) => accelerator && scopes[action] === 'global' && changedActions.includes(action))
+    .filter(([action]) => !errors.some((error) => error.key.endsWith(`.${action}`)))
+    .filter(([, accelerator]) => ![...this.globalShortcuts.values()].some((held) => isSameAccelerator(held, accelerator)))
+    .forEach(([action, accelerator]) => {
+      let registered = false;
+      try {
+        registered = globalShortcut.register(accelerator, () => {});
+      } catch (error) {
+        console.error(`Error checking shortcut ${accelerator}:`, error);
+      }
+
+      if (registered) {
+        globalShortcut.unregister(accelerator);
+      } else {
+        errors.push(shortcutRegistrationError(action));
+      }
+    });
+
+  return errors;
+};
+
 MainWindow.prototype.updateGlobalShortcuts = function() {
   this.registerGlobalShortcuts();
 };
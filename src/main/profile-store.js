@@ -0,0 +1,145 @@
+const path = require('path');
+const fs = require('fs');
+const { normalizeSettings } = require('./settings-schema');
+const { writeJsonAtomic } = require('./json-file');
+
+const DEFAULT_PROFILE = 'Default';
+const MAX_NAME_LENGTH = 40;
+
+// Named snapshots of the user's settings, kept in profiles.json next to
+// settings.json. The active profile always mirrors the live settings; window
+// bounds belong to the machine rather than a profile and are never stored.
+class ProfileStore {
+  constructor({ userDataPath }) {
+    this.filePath = path.join(userDataPath, 'profiles.json');
+    this.activeProfile = DEFAULT_PROFILE;
+    this.profiles = [];
+  }
+
+  static snapshot(settings) {
+    const { window, ...profileSettings } = settings;
+    return structuredClone(profileSettings);
+  }
+
+  // Reads profiles.json, creating a Default profile from the current settings
+  // when there is no usable file yet
+  load(currentSettings) {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        const seen = new Set();
+
+        this.profiles = (Array.isArray(data.profiles) ? data.profiles : [])
+          .filter((profile) => this.isValidName(profile?.name) && !seen.has(profile.name) && seen.add(profile.name))
+          .map((profile) => ({
+            name: profile.name,
+            settings: ProfileStore.snapshot(normalizeSettings(profile.settings).settings)
+          }));
+        this.activeProfile = data.activeProfile;
+      }
+    } catch (err) {
+      console.error('Error loading profiles:', err);
+      this.profiles = [];
+    }
+
+    if (this.profiles.length === 0) {
+      this.profiles = [{ name: DEFAULT_PROFILE, settings: ProfileStore.snapshot(currentSettings) }];
+    }
+    if (!this.find(this.activeProfile)) {
+      this.activeProfile = this.profiles[0].name;
+    }
+    this.save();
+  }
+
+  save() {
+    writeJsonAtomic(this.filePath, { activeProfile: this.activeProfile, profiles: this.profiles });
+  }
+
+  list() {
+    return { active: this.activeProfile, names: this.profiles.map((profile) => profile.name) };
+  }
+
+  find(name) {
+    return this.profiles.find((profile) => profile.name === name);
+  }
+
+  isValidName(name) {
+    return typeof name === 'string' && name.trim() === name && name.length > 0 && name.length <= MAX_NAME_LENGTH;
+  }
+
+  get(name) {
+    const profile = this.find(name);
+    if (!profile) {
+      throw new Error(`Profile "${name}" does not exist`);
+    }
+    return structuredClone(profile.settings);
+  }
+
+  checkNewName(name) {
+    if (!this.isValidName(name)) {
+      throw new Error(`Profile names must be 1-${MAX_NAME_LENGTH} characters without leading or trailing spaces`);
+    }
+    if (this.find(name)) {
+      throw new Error(`A profile named "${name}" already exists`);
+    }
+  }
+
+  create(name, settings) {
+    this.checkNewName(name);
+    this.profiles.push({ name, settings: ProfileStore.snapshot(settings) });
+    this.save();
+  }
+
+  duplicate(name, newName) {
+    this.create(newName, this.get(name));
+  }
+
+  rename(name, newName) {
+    const profile = this.find(name);
+    if (!profile) {
+      throw new Error(`Profile "${name}" does not exist`);
+    }
+    this.checkNewName(newName);
+
+    profile.name = newName;
+    if (this.activeProfile === name) {
+      this.activeProfile = newName;
+    }
+    this.save();
+  }
+
+  // Removes a profile; the caller is responsible for switching away first
+  remove(name) {
+    if (!this.find(name)) {
+      throw new Error(`Profile "${name}" does not exist`);
+    }
+    if (this.profiles.length === 1) {
+      throw new Error('The last profile cannot be deleted');
+    }
+    if (name === this.activeProfile) {
+      throw new Error('Switch to another profile before deleting this one');
+    }
+
+    this.profiles = this.profiles.filter((profile) => profile.name !== name);
+    this.save();
+  }
+
+  setActive(name) {
+    this.get(name);
+    this.activeProfile = name;
+    this.save();
+  }
+
+  // Keeps the active profile in step with the live settings
+  syncActive(settings) {
+    const profile = this.find(this.activeProfile);
+    const snapshot = ProfileStore.snapshot(settings);
+
+    if (profile && JSON.stringify(profile.settings) !== JSON.stringify(snapshot)) {
+      profile.settings = snapshot;
+      this.save();
+    }
+  }
+}
+
+module.exports = ProfileStore;
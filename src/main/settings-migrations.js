@@ -0,0 +1,87 @@
+// Ordered upgrade steps for the settings file. Files written before versioning
+// was introduced have no schemaVersion and are treated as version 0. To change
+// the shape of the settings, bump SCHEMA_VERSION, append a migration with the
+// new version number and add a fixture for the previous version under
+// test/fixtures/settings.
+const { validateSettings } = require('./settings-schema');
+
+const SCHEMA_VERSION = 1;
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Add appearance.fontSize, which unversioned defaults did not include',
+    up(settings) {
+      const appearance = { ...settings.appearance };
+      if (appearance.fontSize === undefined) {
+        appearance.fontSize = 'small';
+      }
+      return { ...settings, appearance };
+    }
+  }
+];
+
+function getFileVersion(data) {
+  return Number.isInteger(data?.schemaVersion) ? data.schemaVersion : 0;
+}
+
+// Runs every migration newer than the file's version, in order. Returns the
+// upgraded settings (without the schemaVersion field) and the versions involved.
+function migrateSettings(data) {
+  const fromVersion = getFileVersion(data);
+  const { schemaVersion, ...settings } = data ?? {};
+
+  if (fromVersion > SCHEMA_VERSION) {
+    // Written by a newer build; leave it alone and let validation drop what we don't know
+    console.warn(`Settings version ${fromVersion} is newer than supported version ${SCHEMA_VERSION}`);
+    return { settings, fromVersion, toVersion: fromVersion, migrated: false };
+  }
+
+  const migrated = MIGRATIONS
+    .filter((migration) => migration.version > fromVersion)
+    .reduce((current, migration) => migration.up(current), settings);
+
+  return {
+    settings: migrated,
+    fromVersion,
+    toVersion: SCHEMA_VERSION,
+    migrated: fromVersion < SCHEMA_VERSION
+  };
+}
+
+// The contents of a settings file, whether the store's own or an export:
+// the settings tagged with the version they were written in
+function versionSettings(settings) {
+  return { schemaVersion: SCHEMA_VERSION, ...settings };
+}
+
+// Reads an exported settings file, upgrading it to the current version.
+// Returns { settings }, or { error } when the file can't be read as settings
+// and { errors } when some of its settings are invalid. Window bounds are
+// left out: they belong to the machine the file was exported from.
+function parseSettingsExport(text) {
+  let settings;
+  try {
+    const data = JSON.parse(text);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Expected a settings object');
+    }
+    settings = migrateSettings(data).settings;
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  delete settings.window;
+
+  const errors = validateSettings(settings);
+  return errors.length > 0 ? { errors } : { settings };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  MIGRATIONS,
+  getFileVersion,
+  migrateSettings,
+  versionSettings,
+  parseSettingsExport
+};
@@ -0,0 +1,390 @@
+const { validateShortcut } = require('./accelerator');
+
+const SHORTCUT_SCOPES = ['global', 'app'];
+
+// Declarative description of every setting the app understands. Each leaf
+// names its type, the values it accepts and its default; the defaults object,
+// load-time normalization and per-key validation are all derived from it.
+const SETTINGS_SCHEMA = {
+  appearance: {
+    theme: { type: 'enum', values: ['dark', 'light', 'auto'], default: 'dark' },
+    fontFamily: { type: 'enum', values: ['smooch-sans', 'inconsolata'], default: 'inconsolata' },
+    fontSize: { type: 'enum', values: ['small', 'medium', 'large'], default: 'small' },
+    accentColor: { type: 'color', default: '#00a2ff' },
+    titlebarButtonStyle: { type: 'enum', values: ['round', 'square'], default: 'square' }
+  },
+  behavior: {
+    defaultWindowState: { type: 'enum', values: ['normal', 'maximized', 'fullscreen', 'last-used'], default: 'normal' },
+    rememberWindowSize: { type: 'boolean', default: true },
+    launchOnStartup: { type: 'boolean', default: false },
+    showTrayIcon: { type: 'boolean', default: false },
+    startMinimizedToTray: { type: 'boolean', default: false },
+    minimizeToTray: { type: 'boolean', default: false },
+    closeToTray: { type: 'boolean', default: false },
+    alwaysOnTop: { type: 'boolean', default: false }
+  },
+  advanced: {
+    // Electron accelerators or chords of them ("Ctrl+K Ctrl+T", in-app only);
+    // an empty string leaves the action unbound
+    keyboardShortcuts: {
+      close: { type: 'shortcut', default: 'Ctrl+Q' },
+      minimize: { type: 'shortcut', default: 'Ctrl+M' },
+      maximize: { type: 'shortcut', default: 'Ctrl+Shift+M' },
+      show: { type: 'shortcut', default: 'Ctrl+Shift+S' },
+      hide: { type: 'shortcut', default: 'Ctrl+H' },
+      fullscreen: { type: 'shortcut', default: 'F11' },
+      kiosk: { type: 'shortcut', default: 'Ctrl+Alt+K' },
+      mini: { type: 'shortcut', default: 'Ctrl+Alt+M' },
+      layoutLeftHalf: { type: 'shortcut', default: 'Ctrl+Alt+Left' },
+      layoutRightHalf: { type: 'shortcut', default: 'Ctrl+Alt+Right' },
+      layoutCenter: { type: 'shortcut', default: 'Ctrl+Alt+C' },
+      layoutTopRightQuarter: { type: 'shortcut', default: 'Ctrl+Alt+Up' },
+      commandPalette: { type: 'shortcut', default: 'Ctrl+Shift+P' },
+      pageHome: { type: 'shortcut', default: 'Ctrl+K Ctrl+H' },
+      pageConfigs: { type: 'shortcut', default: 'Ctrl+K Ctrl+C' },
+      pageDetails: { type: 'shortcut', default: 'Ctrl+K Ctrl+D' }
+    },
+    // Where each shortcut applies: 'global' registers it system-wide, 'app'
+    // only while one of the app's windows has focus
+    shortcutScopes: {
+      close: { type: 'enum', values: SHORTCUT_SCOPES, default: 'app' },
+      minimize: { type: 'enum', values: SHORTCUT_SCOPES, default: 'app' },
+      maximize: { type: 'enum', values: SHORTCUT_SCOPES, default: 'app' },
+      show: { type: 'enum', values: SHORTCUT_SCOPES, default: 'global' },
+      hide: { type: 'enum', values: SHORTCUT_SCOPES, default: 'app' },
+      fullscreen: { type: 'enum', values: SHORTCUT_SCOPES, default: 'app' },
+      kiosk: { type: 'enum', values: SHORTCUT_SCOPES, default: 'app' },
+      mini: { type: 'enum', values: SHORTCUT_SCOPES, default: 'app' },
+      layoutLeftHalf: { type: 'enum', values: SHORTCUT_SCOPES, default: 'app' },
+      layoutRightHalf: { type: 'enum', values: SHORTCUT_SCOPES, default: 'app' },
+      layoutCenter: { type: 'enum', values: SHORTCUT_SCOPES, default: 'app' },
+      layoutTopRightQuarter: { type: 'enum', values: SHORTCUT_SCOPES, default: 'app' },
+      commandPalette: { type: 'enum', values: SHORTCUT_SCOPES, default: 'app' },
+      pageHome: { type: 'enum', values: SHORTCUT_SCOPES, default: 'app' },
+      pageConfigs: { type: 'enum', values: SHORTCUT_SCOPES, default: 'app' },
+      pageDetails: { type: 'enum', values: SHORTCUT_SCOPES, default: 'app' }
+    }
+  },
+  layouts: {
+    // Named window layouts saved by the user, as fractions of the display's work area
+    custom: {
+      type: 'list',
+      maxItems: 20,
+      uniqueBy: 'name',
+      item: {
+        name: { type: 'string', minLength: 1, maxLength: 40 },
+        x: { type: 'number', min: 0, max: 1 },
+        y: { type: 'number', min: 0, max: 1 },
+        width: { type: 'number', min: 0.05, max: 1 },
+        height: { type: 'number', min: 0.05, max: 1 }
+      },
+      default: []
+    }
+  },
+  window: {
+    width: { type: 'integer', min: 640, max: 16384, default: 1200 },
+    height: { type: 'integer', min: 360, max: 16384, default: 800 },
+    x: { type: 'integer', nullable: true, default: null },
+    y: { type: 'integer', nullable: true, default: null },
+    maximized: { type: 'boolean', default: false },
+    fullscreen: { type: 'boolean', default: false },
+    // The display the bounds were saved on, used to fit them to the current layout
+    display: {
+      id: { type: 'integer', nullable: true, default: null },
+      scaleFactor: { type: 'number', min: 0.25, max: 16, nullable: true, default: null },
+      workArea: {
+        x: { type: 'integer', nullable: true, default: null },
+        y: { type: 'integer', nullable: true, default: null },
+        width: { type: 'integer', min: 1, max: 65535, nullable: true, default: null },
+        height: { type: 'integer', min: 1, max: 65535, nullable: true, default: null }
+      }
+    }
+  }
+};
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+const isLeaf = (node) => typeof node?.type === 'string';
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function getSchemaNode(key) {
+  if (typeof key !== 'string' || key === '') return undefined;
+
+  let node = SETTINGS_SCHEMA;
+  for (const part of key.split('.')) {
+    if (!node || isLeaf(node) || !hasOwn(node, part)) return undefined;
+    node = node[part];
+  }
+  return node;
+}
+
+function getDefaults(schema = SETTINGS_SCHEMA) {
+  const defaults = {};
+  for (const [key, node] of Object.entries(schema)) {
+    defaults[key] = isLeaf(node) ? structuredClone(node.default) : getDefaults(node);
+  }
+  return defaults;
+}
+
+// Returns { code, message } describing why value does not satisfy rule, or null
+function checkValue(rule, value) {
+  if (value === null && rule.nullable) return null;
+
+  switch (rule.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return { code: 'invalid-type', message: 'Expected true or false' };
+      }
+      return null;
+
+    case 'string':
+      if (typeof value !== 'string') {
+        return { code: 'invalid-type', message: 'Expected text' };
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return { code: 'out-of-range', message: `Must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return { code: 'out-of-range', message: `Must be at least ${rule.minLength} characters` };
+      }
+      return null;
+
+    // An Electron accelerator, or a chord of them separated by spaces
+    case 'shortcut':
+      if (typeof value !== 'string') {
+        return { code: 'invalid-type', message: 'Expected text' };
+      }
+      if (value.length > 64) {
+        return { code: 'out-of-range', message: 'Must be at most 64 characters' };
+      }
+      return validateShortcut(value);
+
+    case 'enum':
+      if (!rule.values.includes(value)) {
+        return { code: 'invalid-value', message: `Expected one of: ${rule.values.join(', ')}` };
+      }
+      return null;
+
+    case 'color':
+      if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+        return { code: 'invalid-format', message: 'Expected a hex color such as #00a2ff' };
+      }
+      return null;
+
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        return { code: 'invalid-type', message: 'Expected a whole number' };
+      }
+      if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        return { code: 'out-of-range', message: `Must be between ${rule.min} and ${rule.max}` };
+      }
+      return null;
+
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { code: 'invalid-type', message: 'Expected a number' };
+      }
+      if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        return { code: 'out-of-range', message: `Must be between ${rule.min} and ${rule.max}` };
+      }
+      return null;
+
+    // A list of objects whose fields are all described by rule.item
+    case 'list': {
+      if (!Array.isArray(value)) {
+        return { code: 'invalid-type', message: 'Expected a list' };
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return { code: 'out-of-range', message: `Must have at most ${rule.maxItems} items` };
+      }
+
+      for (const [index, item] of value.entries()) {
+        const problem = checkListItem(rule.item, item);
+        if (problem) {
+          return { ...problem, message: `Item ${index + 1}: ${problem.message}` };
+        }
+      }
+
+      if (rule.uniqueBy !== undefined &&
+          new Set(value.map((item) => item[rule.uniqueBy])).size !== value.length) {
+        return { code: 'invalid-value', message: `Each ${rule.uniqueBy} must be unique` };
+      }
+      return null;
+    }
+
+    default:
+      return { code: 'invalid-type', message: `Unsupported setting type "${rule.type}"` };
+  }
+}
+
+function checkListItem(fields, item) {
+  if (!isPlainObject(item)) {
+    return { code: 'invalid-type', message: 'Expected an object' };
+  }
+
+  for (const key of Object.keys(item)) {
+    if (!hasOwn(fields, key)) {
+      return { code: 'unknown-key', message: `Unknown field "${key}"` };
+    }
+  }
+  for (const [key, rule] of Object.entries(fields)) {
+    if (!hasOwn(item, key)) {
+      return { code: 'invalid-type', message: `Missing field "${key}"` };
+    }
+    const problem = checkValue(rule, item[key]);
+    if (problem) {
+      return { ...problem, message: `${key}: ${problem.message}` };
+    }
+  }
+  return null;
+}
+
+// Validates a single dotted key such as "appearance.theme".
+// Returns a structured error { key, code, message } or null when valid.
+function validateSetting(key, value) {
+  const node = getSchemaNode(key);
+  if (!isLeaf(node)) {
+    return { key: String(key), code: 'unknown-key', message: `Unknown setting "${key}"` };
+  }
+
+  const problem = checkValue(node, value);
+  return problem ? { key, ...problem } : null;
+}
+
+// Strict validation for (possibly partial) settings objects coming from
+// imports or batches. Reports unknown keys and invalid values; missing keys
+// are allowed. Returns an array of structured errors.
+function validateSettings(settings, schema = SETTINGS_SCHEMA, prefix = '') {
+  if (!isPlainObject(settings)) {
+    return [{ key: prefix, code: 'invalid-type', message: 'Expected an object' }];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(settings)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (!hasOwn(schema, key)) {
+      errors.push({ key: path, code: 'unknown-key', message: `Unknown setting "${path}"` });
+    } else if (isLeaf(schema[key])) {
+      const problem = checkValue(schema[key], value);
+      if (problem) errors.push({ key: path, ...problem });
+    } else {
+      errors.push(...validateSettings(value, schema[key], path));
+    }
+  }
+  return errors;
+}
+
+// Lenient counterpart used when loading from disk: always returns a complete
+// settings object. Missing or invalid values fall back to their defaults and
+// unknown keys are dropped; everything that was replaced is listed in errors.
+function normalizeSettings(settings, schema = SETTINGS_SCHEMA, prefix = '') {
+  const source = isPlainObject(settings) ? settings : {};
+  const errors = [];
+  const result = {};
+
+  for (const [key, node] of Object.entries(schema)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (isLeaf(node)) {
+      if (!hasOwn(source, key)) {
+        result[key] = node.default;
+        continue;
+      }
+      const problem = checkValue(node, source[key]);
+      if (problem) {
+        errors.push({ key: path, ...problem });
+        result[key] = node.default;
+      } else {
+        result[key] = source[key];
+      }
+    } else {
+      if (hasOwn(source, key) && !isPlainObject(source[key])) {
+        errors.push({ key: path, code: 'invalid-type', message: 'Expected an object' });
+      }
+      const nested = normalizeSettings(source[key], node, path);
+      result[key] = nested.settings;
+      errors.push(...nested.errors);
+    }
+  }
+
+  for (const key of Object.keys(source)) {
+    if (!hasOwn(schema, key)) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      errors.push({ key: path, code: 'unknown-key', message: `Unknown setting "${path}"` });
+    }
+  }
+
+  return { settings: result, errors };
+}
+
+// Reads a dotted key such as "behavior.alwaysOnTop" from a settings object
+function getSettingValue(settings, key) {
+  let current = settings;
+  for (const part of key.split('.')) {
+    if (!isPlainObject(current) || !hasOwn(current, part)) return undefined;
+    current = current[part];
+  }
+  return current;
+}
+
+// Writes a dotted key, creating intermediate objects as needed. Callers must
+// validate the key first so only schema paths are ever written.
+function setSettingValue(settings, key, value) {
+  const parts = key.split('.');
+  let current = settings;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(current[part])) {
+      current[part] = {};
+    }
+    current = current[part];
+  }
+  current[parts[parts.length - 1]] = value;
+}
+
+// Turns a nested (possibly partial) settings object into [key, value] pairs
+// with dotted keys, e.g. { appearance: { theme: 'dark' } } becomes
+// [['appearance.theme', 'dark']]
+function flattenSettings(settings, prefix = '') {
+  return Object.entries(settings).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    return isPlainObject(value) ? flattenSettings(value, path) : [[path, value]];
+  });
+}
+
+// List values are compared by content rather than by reference
+function isSameValue(a, b) {
+  return a === b || (Array.isArray(a) && Array.isArray(b) && JSON.stringify(a) === JSON.stringify(b));
+}
+
+// Lists every schema key whose value in next differs from current, as
+// { key, from, to }. Keys missing from next are treated as unchanged.
+function diffSettings(current, next, schema = SETTINGS_SCHEMA, prefix = '') {
+  const changes = [];
+  for (const [key, node] of Object.entries(schema)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (isLeaf(node)) {
+      const to = getSettingValue(next, path);
+      const from = getSettingValue(current, path);
+      if (to !== undefined && !isSameValue(from, to)) {
+        changes.push({ key: path, from, to });
+      }
+    } else {
+      changes.push(...diffSettings(current, next, node, path));
+    }
+  }
+  return changes;
+}
+
+module.exports = {
+  SETTINGS_SCHEMA,
+  getSchemaNode,
+  getDefaults,
+  validateSetting,
+  validateSettings,
+  normalizeSettings,
+  getSettingValue,
+  setSettingValue,
+  flattenSettings,
+  diffSettings
+};
@@ -0,0 +1,181 @@
+const path = require('path');
+const fs = require('fs');
+const { migrateSettings, versionSettings } = require('./settings-migrations');
+const { isReadableJson, writeJsonAtomic } = require('./json-file');
+
+// Settings live in the per-user data directory so they survive app updates.
+// The settings.json shipped in src/config is only used to seed the store on
+// first run; older builds also wrote preferences into that same file, so
+// seeding from it carries a legacy install's settings over as well.
+//
+// Writes are debounced so bursts of changes (e.g. dragging the window) hit the
+// disk once, and go through a temp file plus rename so a crash mid-write can
+// never leave a truncated settings.json behind. The previous file is kept as
+// settings.json.bak and used to recover if the main file fails to parse.
+class SettingsStore {
+  constructor({ userDataPath, seedPath, writeDelay = 500 }) {
+    this.filePath = path.join(userDataPath, 'settings.json');
+    this.tempPath = `${this.filePath}.tmp`;
+    this.lastGoodPath = `${this.filePath}.bak`;
+    this.seedPath = seedPath;
+    this.writeDelay = writeDelay;
+    this.pendingSettings = null;
+    this.writeTimer = null;
+    this.watcher = null;
+    // Last contents read or written by this store, used to tell our own
+    // writes apart from external edits
+    this.knownText = null;
+  }
+
+  ensureSeeded() {
+    if (fs.existsSync(this.filePath)) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+      if (fs.existsSync(this.seedPath)) {
+        fs.copyFileSync(this.seedPath, this.filePath);
+        console.log(`Seeded settings from ${this.seedPath}`);
+      }
+    } catch (err) {
+      console.error('Error seeding settings:', err);
+    }
+  }
+
+  getBackupPath(version) {
+    return path.join(path.dirname(this.filePath), `settings.v${version}.backup.json`);
+  }
+
+  // Parses the settings file, falling back to the last good copy if it is
+  // corrupted. The unreadable file is set aside rather than overwritten.
+  readFile() {
+    try {
+      this.knownText = fs.readFileSync(this.filePath, 'utf8');
+      return JSON.parse(this.knownText);
+    } catch (err) {
+      const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(this.filePath, corruptPath);
+
+      if (!isReadableJson(this.lastGoodPath)) {
+        console.warn(`Settings file was unreadable (${err.message}) and no backup exists; original kept at ${corruptPath}`);
+        throw err;
+      }
+
+      fs.copyFileSync(this.lastGoodPath, this.filePath);
+      console.warn(`Settings file was unreadable (${err.message}); recovered from ${this.lastGoodPath}, original kept at ${corruptPath}`);
+      this.knownText = fs.readFileSync(this.filePath, 'utf8');
+      return JSON.parse(this.knownText);
+    }
+  }
+
+  // Returns the parsed settings object, or null if there is nothing to read.
+  // Files from older schema versions are backed up and upgraded in place.
+  read() {
+    this.ensureSeeded();
+
+    if (!fs.existsSync(this.filePath)) return null;
+    const data = this.readFile();
+    const { settings, fromVersion, toVersion, migrated } = migrateSettings(data);
+
+    if (migrated) {
+      const backupPath = this.getBackupPath(fromVersion);
+      fs.copyFileSync(this.filePath, backupPath);
+      this.write(settings);
+      console.log(`Migrated settings from version ${fromVersion} to ${toVersion} (backup: ${backupPath})`);
+    }
+
+    return settings;
+  }
+
+  // Queues settings to be written once no further changes arrive for writeDelay ms
+  scheduleWrite(settings) {
+    this.pendingSettings = settings;
+
+    if (this.writeTimer) clearTimeout(this.writeTimer);
+    this.writeTimer = setTimeout(() => {
+      try {
+        this.flush();
+      } catch (err) {
+        console.error('Error saving settings:', err);
+      }
+    }, this.writeDelay);
+  }
+
+  // Writes any queued settings immediately
+  flush() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+    }
+    if (!this.pendingSettings) return;
+
+    const settings = this.pendingSettings;
+    this.pendingSettings = null;
+    this.write(settings);
+  }
+
+  // Drops the queued write, e.g. when a hand edit replaced the settings it
+  // holds, so the edit isn't overwritten with the values from before it
+  cancelPendingWrite() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+    }
+    this.pendingSettings = null;
+  }
+
+  write(settings) {
+    this.knownText = writeJsonAtomic(this.filePath, versionSettings(settings), {
+      backupPath: this.lastGoodPath
+    });
+  }
+
+  // Calls onChange(data) whenever settings.json is changed by something other
+  // than this store, e.g. a hand edit. data is the parsed file contents, or
+  // the parse Error if the new contents are not valid JSON. The directory is
+  // watched rather than the file because editors often replace files on save.
+  watch(onChange, delay = 200) {
+    this.unwatch();
+
+    const fileName = path.basename(this.filePath);
+    let timer = null;
+
+    this.watcher = fs.watch(path.dirname(this.filePath), (eventType, changedFile) => {
+      if (changedFile && changedFile !== fileName) return;
+
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        let text;
+        try {
+          text = fs.readFileSync(this.filePath, 'utf8');
+        } catch (err) {
+          return; // Removed or mid-replace; wait for the next event
+        }
+        if (text === this.knownText) return;
+        this.knownText = text;
+
+        // Unparseable files, and files holding anything but a settings object
+        // such as null or [], are reported as an Error rather than as settings
+        let data;
+        try {
+          data = JSON.parse(text);
+          if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            data = new TypeError('Expected a settings object');
+          }
+        } catch (err) {
+          data = err;
+        }
+        onChange(data);
+      }, delay);
+    });
+  }
+
+  unwatch() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = SettingsStore;
@@ -0,0 +1,76 @@
+const { parseShortcut, matchesAccelerator } = require('./accelerator');
+
+// How long a started chord waits for its next step
+const CHORD_TIMEOUT = 1500;
+
+const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta', 'AltGraph'];
+
+// Turns one window's key input into the in-app shortcuts it completes,
+// including chords such as "Ctrl+K Ctrl+T". After the first step of a chord
+// the dispatcher waits for the next one; any other key, or nothing within
+// the timeout, cancels it.
+class ShortcutDispatcher {
+  constructor({ timeout = CHORD_TIMEOUT, platform = process.platform } = {}) {
+    this.timeout = timeout;
+    this.platform = platform;
+    this.pending = null; // { step, candidates: [{ action, steps }] }: the chords still possible
+    this.timer = null;
+    this.suspended = false;
+  }
+
+  // While suspended, e.g. while the window records a new shortcut, every key
+  // reaches the page
+  setSuspended(suspended) {
+    this.suspended = suspended;
+    this.cancel();
+  }
+
+  // bindings is a list of [action, shortcut]. Returns { action, consumed }:
+  // the action whose shortcut input completed, if any, and whether the input
+  // belonged to a shortcut and should not reach the page.
+  handleInput(input, bindings) {
+    if (this.suspended || input.type !== 'keyDown' || MODIFIER_KEYS.includes(input.key)) {
+      return { action: null, consumed: false };
+    }
+
+    const index = this.pending ? this.pending.step : 0;
+    const candidates = this.pending
+      ? this.pending.candidates
+      : bindings.map(([action, shortcut]) => ({ action, steps: parseShortcut(shortcut) })).filter(({ steps }) => steps.length > 0);
+    const matched = candidates.filter(({ steps }) => matchesAccelerator(input, steps[index], this.platform));
+    const wasPending = Boolean(this.pending);
+
+    const complete = matched.find(({ steps }) => steps.length === index + 1);
+    if (complete) {
+      this.cancel();
+      return { action: complete.action, consumed: true };
+    }
+
+    if (matched.length > 0) {
+      this.start({ step: index + 1, candidates: matched });
+      return { action: null, consumed: true };
+    }
+
+    // A key that doesn't continue the chord ends it, and is swallowed so it
+    // doesn't type into the page
+    this.cancel();
+    return { action: null, consumed: wasPending };
+  }
+
+  start(pending) {
+    clearTimeout(this.timer);
+    this.pending = pending;
+    this.timer = setTimeout(() => this.cancel(), this.timeout);
+  }
+
+  cancel() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pending = null;
+  }
+}
+
+module.exports = {
+  CHORD_TIMEOUT,
+  ShortcutDispatcher
+};
@@ -0,0 +1,121 @@
+// Draws the tray icon: the app logo (three squares, with the top-right slot
+// left empty) in a light or dark variant, the status shown in the empty slot,
+// and optionally a badge count over it. Returns raw BGRA pixels, the layout
+// nativeImage.createFromBitmap() expects, so no image files need shipping.
+
+const TRAY_STATES = ['idle', 'busy', 'error', 'attention'];
+
+const LOGO_COLORS = {
+  dark: [199, 107, 255], // Lighter logo for dark taskbars
+  light: [142, 36, 201]
+};
+
+const STATE_COLORS = {
+  busy: [0, 162, 255],
+  error: [255, 59, 48],
+  attention: [255, 189, 46]
+};
+
+const BADGE_COLOR = [255, 59, 48];
+const BADGE_TEXT_COLOR = [255, 255, 255];
+
+// Logo squares on the logo's 512-unit grid; the last entry is the empty slot
+const LOGO_SQUARES = [[80, 80], [80, 272], [272, 272]];
+const STATUS_SLOT = [272, 80];
+const SQUARE_SIZE = 160;
+
+// 3x5 pixel glyphs for badge counts
+const GLYPHS = {
+  0: ['111', '101', '101', '101', '111'],
+  1: ['010', '110', '010', '010', '111'],
+  2: ['111', '001', '111', '100', '111'],
+  3: ['111', '001', '111', '001', '111'],
+  4: ['101', '101', '111', '001', '001'],
+  5: ['111', '100', '111', '001', '111'],
+  6: ['111', '100', '111', '101', '111'],
+  7: ['111', '001', '001', '001', '001'],
+  8: ['111', '101', '111', '101', '111'],
+  9: ['111', '101', '111', '001', '111'],
+  '+': ['000', '010', '111', '010', '000']
+};
+
+// The text shown for a badge count: nothing for 0, "9+" past 9
+function formatBadge(count) {
+  if (!Number.isInteger(count) || count <= 0) return '';
+  return count > 9 ? '9+' : String(count);
+}
+
+function createCanvas(size) {
+  const data = Buffer.alloc(size * size * 4);
+
+  const setPixel = (x, y, [r, g, b]) => {
+    if (x < 0 || y < 0 || x >= size || y >= size) return;
+    const offset = (y * size + x) * 4;
+    data[offset] = b;
+    data[offset + 1] = g;
+    data[offset + 2] = r;
+    data[offset + 3] = 255;
+  };
+
+  return { data, setPixel };
+}
+
+function renderTrayIcon({ size = 16, dark = true, state = 'idle', badgeCount = 0 } = {}) {
+  const { data, setPixel } = createCanvas(size);
+  const scale = (units) => Math.round((units * size) / 512);
+
+  const fillSquare = ([left, top], color) => {
+    for (let y = scale(top); y < scale(top + SQUARE_SIZE); y++) {
+      for (let x = scale(left); x < scale(left + SQUARE_SIZE); x++) {
+        setPixel(x, y, color);
+      }
+    }
+  };
+
+  LOGO_SQUARES.forEach((square) => fillSquare(square, LOGO_COLORS[dark ? 'dark' : 'light']));
+
+  const text = formatBadge(badgeCount);
+  if (!text) {
+    if (STATE_COLORS[state]) {
+      fillSquare(STATUS_SLOT, STATE_COLORS[state]);
+    }
+    return { width: size, height: size, data };
+  }
+
+  // Badge: a filled circle over the status slot with the count in it
+  const centerX = (scale(STATUS_SLOT[0]) + scale(STATUS_SLOT[0] + SQUARE_SIZE)) / 2;
+  const centerY = (scale(STATUS_SLOT[1]) + scale(STATUS_SLOT[1] + SQUARE_SIZE)) / 2;
+  const radius = size * 0.3;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if ((x + 0.5 - centerX) ** 2 + (y + 0.5 - centerY) ** 2 <= radius ** 2) {
+        setPixel(x, y, STATE_COLORS[state] || BADGE_COLOR);
+      }
+    }
+  }
+
+  const pixel = Math.max(1, Math.floor(size / 16));
+  const textWidth = (text.length * 4 - 1) * pixel;
+  const left = Math.round(centerX - textWidth / 2);
+  const top = Math.round(centerY - (5 * pixel) / 2);
+  [...text].forEach((char, index) => {
+    GLYPHS[char].forEach((row, rowIndex) => {
+      [...row].forEach((bit, column) => {
+        if (bit !== '1') return;
+        for (let dy = 0; dy < pixel; dy++) {
+          for (let dx = 0; dx < pixel; dx++) {
+            setPixel(left + (index * 4 + column) * pixel + dx, top + rowIndex * pixel + dy, BADGE_TEXT_COLOR);
+          }
+        }
+      });
+    });
+  });
+
+  return { width: size, height: size, data };
+}
+
+module.exports = {
+  TRAY_STATES,
+  formatBadge,
+  renderTrayIcon
+};
@@ -0,0 +1,91 @@
+// Fits saved window bounds onto the current screen layout. Displays are plain
+// { id, scaleFactor, workArea } objects as returned by Electron's screen
+// module, so the logic can be exercised without a running app.
+
+function intersectionArea(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+function sameArea(a, b) {
+  return a.width === b.width && a.height === b.height;
+}
+
+// Finds the display the bounds were saved on: the same display id first, then
+// (as ids can change when a monitor is reconnected) a display with the same
+// work area size and scale factor
+function findSavedDisplay(saved, displays) {
+  if (!saved) return undefined;
+
+  return displays.find((display) => display.id === saved.id) ||
+    displays.find((display) => saved.workArea &&
+      display.scaleFactor === saved.scaleFactor &&
+      sameArea(display.workArea, saved.workArea));
+}
+
+function clampToWorkArea(bounds, workArea) {
+  const width = Math.min(bounds.width, workArea.width);
+  const height = Math.min(bounds.height, workArea.height);
+
+  return {
+    x: Math.min(Math.max(bounds.x, workArea.x), workArea.x + workArea.width - width),
+    y: Math.min(Math.max(bounds.y, workArea.y), workArea.y + workArea.height - height),
+    width,
+    height
+  };
+}
+
+function centerInWorkArea(bounds, workArea) {
+  const width = Math.min(bounds.width, workArea.width);
+  const height = Math.min(bounds.height, workArea.height);
+
+  return {
+    x: workArea.x + Math.round((workArea.width - width) / 2),
+    y: workArea.y + Math.round((workArea.height - height) / 2),
+    width,
+    height
+  };
+}
+
+// Returns bounds that are fully visible on one of the given displays.
+// bounds may have null x/y (never positioned), in which case the window is
+// centered on the primary display. savedDisplay is the { id, scaleFactor,
+// workArea } recorded alongside the bounds, if any.
+function fitBoundsToDisplays(bounds, savedDisplay, displays, primaryDisplay) {
+  if (bounds.x === null || bounds.y === null) {
+    return centerInWorkArea(bounds, primaryDisplay.workArea);
+  }
+
+  // The monitor is still there (or back): keep the window at the same spot
+  // relative to its work area, which follows the monitor if it was rearranged
+  const display = findSavedDisplay(savedDisplay, displays);
+  if (display) {
+    const origin = savedDisplay.workArea || display.workArea;
+    return clampToWorkArea({
+      ...bounds,
+      x: display.workArea.x + bounds.x - origin.x,
+      y: display.workArea.y + bounds.y - origin.y
+    }, display.workArea);
+  }
+
+  // Otherwise pull it onto whichever display it overlaps most, or re-center it
+  // on the primary display when it is off-screen entirely
+  let best = null;
+  let bestArea = 0;
+  for (const candidate of displays) {
+    const area = intersectionArea(bounds, candidate.workArea);
+    if (area > bestArea) {
+      best = candidate;
+      bestArea = area;
+    }
+  }
+
+  return best
+    ? clampToWorkArea(bounds, best.workArea)
+    : centerInWorkArea(bounds, primaryDisplay.workArea);
+}
+
+module.exports = {
+  fitBoundsToDisplays
+};
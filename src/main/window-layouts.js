@@ -0,0 +1,61 @@
+// Window layout presets. A layout is a rectangle given as fractions of a
+// display's work area, so the same layout fits any monitor it is applied on.
+
+const BUILT_IN_LAYOUTS = [
+  { id: 'left-half', label: 'Left Half', shortcut: 'layoutLeftHalf', x: 0, y: 0, width: 0.5, height: 1 },
+  { id: 'right-half', label: 'Right Half', shortcut: 'layoutRightHalf', x: 0.5, y: 0, width: 0.5, height: 1 },
+  { id: 'center', label: 'Centered 80%', shortcut: 'layoutCenter', x: 0.1, y: 0.1, width: 0.8, height: 0.8 },
+  { id: 'top-right-quarter', label: 'Top Right Quarter', shortcut: 'layoutTopRightQuarter', x: 0.5, y: 0, width: 0.5, height: 0.5 }
+];
+
+// Custom layouts are stored by name in layouts.custom and get ids of the
+// form "custom:<name>" so they never clash with the built-in ones
+const CUSTOM_PREFIX = 'custom:';
+
+// Lists the built-in layouts followed by the user's, as { id, label, custom,
+// shortcut, x, y, width, height }; shortcut names the built-in layout's key
+// in advanced.keyboardShortcuts
+function listLayouts(customLayouts = []) {
+  return [
+    ...BUILT_IN_LAYOUTS.map((layout) => ({ ...layout, custom: false })),
+    ...customLayouts.map((layout) => ({ ...layout, id: `${CUSTOM_PREFIX}${layout.name}`, label: layout.name, custom: true }))
+  ];
+}
+
+function findLayout(id, customLayouts = []) {
+  return listLayouts(customLayouts).find((layout) => layout.id === id);
+}
+
+// Turns a layout into pixel bounds within workArea
+function getLayoutBounds(layout, workArea) {
+  const x = workArea.x + Math.round(layout.x * workArea.width);
+  const y = workArea.y + Math.round(layout.y * workArea.height);
+
+  return {
+    x,
+    y,
+    width: Math.min(Math.round(layout.width * workArea.width), workArea.x + workArea.width - x),
+    height: Math.min(Math.round(layout.height * workArea.height), workArea.y + workArea.height - y)
+  };
+}
+
+// The inverse of getLayoutBounds: describes bounds as a named layout of workArea
+function createLayout(name, bounds, workArea) {
+  const fraction = (value) => Math.round(Math.min(Math.max(value, 0), 1) * 10000) / 10000;
+
+  return {
+    name,
+    x: fraction((bounds.x - workArea.x) / workArea.width),
+    y: fraction((bounds.y - workArea.y) / workArea.height),
+    width: fraction(bounds.width / workArea.width),
+    height: fraction(bounds.height / workArea.height)
+  };
+}
+
+module.exports = {
+  BUILT_IN_LAYOUTS,
+  listLayouts,
+  findLayout,
+  getLayoutBounds,
+  createLayout
+};
@@ -0,0 +1,102 @@
+const { BrowserWindow } = require('electron');
+
+const PAGES = ['home', 'configs', 'details'];
+
+// Keeps track of the app's windows and the page each one shows. Windows are
+// configured by the caller; the manager loads the app into them, and resolves
+// IPC senders and tray or shortcut actions to the right window.
+class WindowManager {
+  constructor({ indexPath }) {
+    this.indexPath = indexPath;
+    this.entries = new Map(); // window id -> { window, page, mode, restoreState }
+    this.lastFocusedId = null;
+  }
+
+  static PAGES = PAGES;
+
+  static isValidPage(page) {
+    return PAGES.includes(page);
+  }
+
+  // Creates a window from BrowserWindow options and loads the app on page
+  open(options, page = 'home') {
+    const window = new BrowserWindow(options);
+    const id = window.id;
+
+    this.entries.set(id, { window, page, mode: null, restoreState: null });
+    this.lastFocusedId = id;
+
+    window.on('focus', () => {
+      this.lastFocusedId = id;
+    });
+
+    window.on('closed', () => {
+      this.entries.delete(id);
+      if (this.lastFocusedId === id) {
+        this.lastFocusedId = null;
+      }
+    });
+
+    window.loadFile(this.indexPath, { query: { page } });
+    return window;
+  }
+
+  getAll() {
+    return [...this.entries.values()]
+      .map((entry) => entry.window)
+      .filter((window) => !window.isDestroyed());
+  }
+
+  get count() {
+    return this.getAll().length;
+  }
+
+  // The window that sent an IPC message, if it is one of the app windows
+  fromEvent(event) {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    return window && this.entries.has(window.id) && !window.isDestroyed() ? window : null;
+  }
+
+  // The window that global shortcuts and the tray act on: the focused window,
+  // else the one focused most recently, else any open window
+  getPrimary() {
+    const focused = BrowserWindow.getFocusedWindow();
+    if (focused && this.entries.has(focused.id)) return focused;
+
+    const last = this.entries.get(this.lastFocusedId);
+    if (last && !last.window.isDestroyed()) return last.window;
+
+    return this.getAll()[0] || null;
+  }
+
+  getPage(window) {
+    return this.entries.get(window.id)?.page;
+  }
+
+  setPage(window, page) {
+    const entry = this.entries.get(window.id);
+    if (entry) {
+      entry.page = page;
+    }
+  }
+
+  // The window mode ('fullscreen', 'kiosk' or 'mini') the app put the window
+  // in, and whatever is needed to restore the window when it leaves it
+  getMode(window) {
+    return this.entries.get(window.id)?.mode || null;
+  }
+
+  getRestoreState(window) {
+    return this.entries.get(window.id)?.restoreState || null;
+  }
+
+  setMode(window, mode, restoreState = null) {
+    const entry = this.entries.get(window.id);
+    if (entry) {
+      entry.mode = mode;
+      entry.restoreState = restoreState;
+    }
+  }
+}
+
+module.exports = WindowManager;
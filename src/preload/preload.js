@@ -1,7 +1,17 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
+// Calls listener with the arguments of every message the main process sends
+// on channel, but never with the IPC event itself, which would hand the page
+// the sender's webContents. Returns a function that unsubscribes.
+function subscribe(channel, listener) {
+  const handler = (event, ...args) => listener(...args);
+  ipcRenderer.on(channel, handler);
+  return () => ipcRenderer.removeListener(channel, handler);
+}
+
 // Expose protected methods that allow the renderer process to use
-// the ipcRenderer without exposing the entire object
+// the ipcRenderer without exposing the entire object. Every on* method
+// returns a function that removes the listener again.
 contextBridge.exposeInMainWorld('electronAPI', {
   minimizeWindow: () => ipcRenderer.invoke('window-minimize'),
   maximizeWindow: () => ipcRenderer.invoke('window-maximize'),
@@ -9,24 +19,88 @@ contextBridge.exposeInMainWorld('electronAPI', {
   isMaximized: () => ipcRenderer.invoke('window-is-maximized'),
   
   // Listen for window state changes
-  onWindowMaximized: (callback) => ipcRenderer.on('window-maximized', callback),
-  onWindowUnmaximized: (callback) => ipcRenderer.on('window-unmaximized', callback),
+  onWindowMaximized: (callback) => subscribe('window-maximized', () => callback()),
+  onWindowUnmaximized: (callback) => subscribe('window-unmaximized', () => callback()),
+  
+  // Window modes: 'fullscreen', 'kiosk' (presentation) and 'mini'
+  toggleWindowMode: (mode) => ipcRenderer.invoke('window-toggle-mode', mode),
+  getWindowMode: () => ipcRenderer.invoke('window-get-mode'),
+  onWindowEnterMode: (callback) => subscribe('window-enter-mode', callback),
+  onWindowLeaveMode: (callback) => subscribe('window-leave-mode', callback),
+  
+  // Window layouts: built-in ids are 'left-half', 'right-half', 'center' and
+  // 'top-right-quarter'; saved layouts are 'custom:<name>'
+  showLayoutMenu: (position) => ipcRenderer.invoke('window-show-layout-menu', position),
+  applyWindowLayout: (id) => ipcRenderer.invoke('window-apply-layout', id),
+  saveWindowLayout: (name) => ipcRenderer.invoke('window-save-layout', name),
+  deleteWindowLayout: (name) => ipcRenderer.invoke('window-delete-layout', name),
   
   // Navigation
-  onNavigateToPage: (callback) => ipcRenderer.on('navigate-to-page', (event, pageName) => callback(pageName)),
+  onNavigateToPage: (callback) => subscribe('navigate-to-page', callback),
+  setCurrentPage: (pageName) => ipcRenderer.invoke('set-current-page', pageName),
+  
+  // Windows: opens another app window on page (defaults to this window's page)
+  openNewWindow: (pageName) => ipcRenderer.invoke('open-new-window', pageName),
   
   // Settings
   getSettings: () => ipcRenderer.invoke('get-settings'),
   saveSetting: (key, value) => ipcRenderer.invoke('save-setting', key, value),
+  saveSettings: (settings) => ipcRenderer.invoke('save-settings', settings),
+  saveSettingsBatch: (changes) => ipcRenderer.invoke('save-settings-batch', changes),
   restoreDefaultSettings: () => ipcRenderer.invoke('restore-default-settings'),
+  getDefaultSettings: () => ipcRenderer.invoke('get-default-settings'),
   exportSettings: () => ipcRenderer.invoke('export-settings'),
+  importSettings: () => ipcRenderer.invoke('import-settings'),
+  applyImportedSettings: () => ipcRenderer.invoke('apply-imported-settings'),
+  cancelImportedSettings: () => ipcRenderer.invoke('cancel-imported-settings'),
   updateGlobalShortcuts: () => ipcRenderer.invoke('update-global-shortcuts'),
+  // Setting errors for global shortcuts the OS refused to register
+  getShortcutErrors: () => ipcRenderer.invoke('get-shortcut-errors'),
+  // Turns recorded keys, one { key, code, ctrlKey, altKey, shiftKey, metaKey }
+  // per chord step, into { success, shortcut, complete } or { success: false, error }
+  describeShortcut: (keys) => ipcRenderer.invoke('describe-shortcut', keys),
+  // Turns shortcuts off while this window records one, so the keys reach it
+  suspendShortcuts: (suspended) => ipcRenderer.invoke('window-suspend-shortcuts', suspended),
+  // Subscribe to settings changes from any source. keys is an optional list of
+  // key paths or prefixes ("appearance" matches "appearance.theme"); the
+  // callback only runs, with the matching changes, when one of them changed.
+  onSettingsChanged: (keys, callback) => {
+    if (typeof keys === 'function') {
+      callback = keys;
+      keys = null;
+    }
+    return subscribe('settings-changed', (data) => {
+      const changes = keys
+        ? data.changes.filter(({ key }) => keys.some((prefix) => key === prefix || key.startsWith(`${prefix}.`)))
+        : data.changes;
+      if (changes.length > 0) {
+        callback({ ...data, changes });
+      }
+    });
+  },
+  onSettingsFileInvalid: (callback) => subscribe('settings-file-invalid', callback),
+  
+  // Settings profiles
+  getProfiles: () => ipcRenderer.invoke('get-profiles'),
+  switchProfile: (name) => ipcRenderer.invoke('switch-profile', name),
+  createProfile: (name) => ipcRenderer.invoke('create-profile', name),
+  duplicateProfile: (name, newName) => ipcRenderer.invoke('duplicate-profile', name, newName),
+  renameProfile: (name, newName) => ipcRenderer.invoke('rename-profile', name, newName),
+  deleteProfile: (name) => ipcRenderer.invoke('delete-profile', name),
+  onProfileChanged: (callback) => subscribe('profile-changed', callback),
+  
+  // Tray status: { state: 'idle' | 'busy' | 'error' | 'attention', tooltip, badgeCount },
+  // any subset of which can be passed to update just those
+  setTrayStatus: (status) => ipcRenderer.invoke('set-tray-status', status),
+  
+  // Commands: everything the tray, shortcuts and the command palette can run.
+  // listCommands resolves to { success, commands: [{ id, title, category, shortcut }] },
+  // best match for query first.
+  listCommands: (query) => ipcRenderer.invoke('list-commands', query),
+  // executeCommand resolves to { success } or { success: false, error }
+  executeCommand: (id) => ipcRenderer.invoke('execute-command', id),
+  onOpenCommandPalette: (callback) => subscribe('open-command-palette', () => callback()),
   
   // Splash Screen
-  splashComplete: () => ipcRenderer.invoke('splash-complete'),
-});
-
-// Remove listeners
-contextBridge.exposeInMainWorld('electronAPI', {
-  removeAllListeners: (channel) => ipcRenderer.removeAllListeners(channel)
+  splashComplete: () => ipcRenderer.invoke('splash-complete')
 });
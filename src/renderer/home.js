@@ -3,9 +3,29 @@ class HomePage {
     constructor() {
         this.isInitialized = false;
         this.animationDelay = 100;
+        // What destroy() undoes: listeners added with listen() and observers,
+        // timeouts from schedule() and running counter animations
+        this.cleanups = [];
+        this.timers = new Set();
+        this.counters = new Set();
         this.init();
     }
 
+    // Adds an event listener that destroy() removes again
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.cleanups.push(() => target.removeEventListener(type, handler));
+    }
+
+    // Runs callback after delay, unless the page is destroyed first
+    schedule(callback, delay) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            callback();
+        }, delay);
+        this.timers.add(timer);
+    }
+
     async init() {
         if (this.isInitialized) return;
         
@@ -21,7 +41,7 @@ class HomePage {
         // Get Started button
         const getStartedBtn = document.getElementById('get-started-btn');
         if (getStartedBtn) {
-            getStartedBtn.addEventListener('click', () => {
+            this.listen(getStartedBtn, 'click', () => {
                 this.handleGetStarted();
             });
         }
@@ -29,7 +49,7 @@ class HomePage {
         // Learn More button
         const learnMoreBtn = document.getElementById('learn-more-btn');
         if (learnMoreBtn) {
-            learnMoreBtn.addEventListener('click', () => {
+            this.listen(learnMoreBtn, 'click', () => {
                 this.handleLearnMore();
             });
         }
@@ -43,13 +63,13 @@ class HomePage {
         
         featureCards.forEach((card, index) => {
             // Add click handler for feature cards
-            card.addEventListener('click', () => {
+            this.listen(card, 'click', () => {
                 this.handleFeatureCardClick(index);
             });
 
             // Add keyboard navigation
             card.setAttribute('tabindex', '0');
-            card.addEventListener('keydown', (event) => {
+            this.listen(card, 'keydown', (event) => {
                 if (event.key === 'Enter' || event.key === ' ') {
                     event.preventDefault();
                     this.handleFeatureCardClick(index);
@@ -63,7 +83,7 @@ class HomePage {
         const featureCards = document.querySelectorAll('.feature-card');
         
         featureCards.forEach((card, index) => {
-            setTimeout(() => {
+            this.schedule(() => {
                 card.style.opacity = '1';
                 card.style.transform = 'translateY(0)';
                 card.classList.add('animate-in');
@@ -93,6 +113,7 @@ class HomePage {
             
             if (statsSection) observer.observe(statsSection);
             if (actionsSection) observer.observe(actionsSection);
+            this.cleanups.push(() => observer.disconnect());
         }
     }
 
@@ -113,9 +134,10 @@ class HomePage {
             });
 
             statNumbers.forEach(stat => observer.observe(stat));
+            this.cleanups.push(() => observer.disconnect());
         } else {
             // Fallback for browsers without IntersectionObserver
-            setTimeout(() => {
+            this.schedule(() => {
                 statNumbers.forEach(stat => this.animateCounter(stat));
             }, 1000);
         }
@@ -136,8 +158,10 @@ class HomePage {
                 element.textContent = target;
                 element.classList.remove('counting');
                 clearInterval(timer);
+                this.counters.delete(timer);
             }
         }, 16);
+        this.counters.add(timer);
     }
 
     handleGetStarted() {
@@ -234,7 +258,7 @@ class HomePage {
         });
 
         // Restart animations
-        setTimeout(() => {
+        this.schedule(() => {
             this.setupAnimations();
         }, 100);
     }
@@ -271,10 +295,10 @@ class HomePage {
         }
 
         // Auto-hide after 5 seconds
-        setTimeout(() => {
+        this.schedule(() => {
             welcomeDiv.style.transition = 'opacity 0.5s ease';
             welcomeDiv.style.opacity = '0';
-            setTimeout(() => {
+            this.schedule(() => {
                 if (welcomeDiv.parentNode) {
                     welcomeDiv.parentNode.removeChild(welcomeDiv);
                 }
@@ -286,17 +310,12 @@ class HomePage {
     destroy() {
         this.isInitialized = false;
         
-        // Remove event listeners
-        const getStartedBtn = document.getElementById('get-started-btn');
-        const learnMoreBtn = document.getElementById('learn-more-btn');
-        
-        if (getStartedBtn) {
-            getStartedBtn.removeEventListener('click', this.handleGetStarted);
-        }
-        
-        if (learnMoreBtn) {
-            learnMoreBtn.removeEventListener('click', this.handleLearnMore);
-        }
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.counters.forEach(timer => clearInterval(timer));
+        this.counters.clear();
 
         console.log('Home page destroyed');
     }
@@ -1,10 +1,47 @@
 // Renderer process script for handling UI interactions and window controls
 
+// Configurable shortcuts, keyed like advanced.keyboardShortcuts. Each one is
+// edited by a shortcut-<action> input and a shortcut-scope-<action> select.
+const SHORTCUT_ACTIONS = [
+    'close', 'minimize', 'maximize', 'show', 'hide',
+    'fullscreen', 'kiosk', 'mini',
+    'layoutLeftHalf', 'layoutRightHalf', 'layoutCenter', 'layoutTopRightQuarter',
+    'commandPalette', 'pageHome', 'pageConfigs', 'pageDetails'
+];
+
+// Shortcuts can be chords of two key combinations. While recording, the
+// second one has to follow the first within this many milliseconds.
+const CHORD_RECORD_TIMEOUT = 1500;
+
+// Maps setting keys to the Configs page control that edits them
+const SETTING_CONTROLS = {
+    'appearance.theme': 'theme-select',
+    'appearance.fontFamily': 'font-select',
+    'appearance.fontSize': 'font-size-select',
+    'appearance.accentColor': 'accent-color-select',
+    'appearance.titlebarButtonStyle': 'button-style-select',
+    'behavior.defaultWindowState': 'window-state-select',
+    'behavior.rememberWindowSize': 'remember-window-size',
+    'behavior.launchOnStartup': 'launch-on-startup',
+    'behavior.showTrayIcon': 'show-tray-icon',
+    'behavior.startMinimizedToTray': 'start-minimized-to-tray',
+    'behavior.minimizeToTray': 'minimize-to-tray',
+    'behavior.closeToTray': 'close-to-tray',
+    'behavior.alwaysOnTop': 'always-on-top',
+    ...Object.fromEntries(SHORTCUT_ACTIONS.flatMap(action => [
+        [`advanced.keyboardShortcuts.${action}`, `shortcut-${action}`],
+        [`advanced.shortcutScopes.${action}`, `shortcut-scope-${action}`]
+    ]))
+};
+
 class AppRenderer {
     constructor() {
         this.isMaximized = false;
+        this.windowMode = null; // 'fullscreen', 'kiosk', 'mini' or null
         this.hasUnsavedChanges = false;
         this.pendingSettings = {};
+        this.undoStack = []; // Pending setting edits as { key, before, after }
+        this.redoStack = [];
         this.homePage = null;
         this.currentPage = 'home'; // Track current page
         this.init();
@@ -12,6 +49,7 @@ class AppRenderer {
 
     async init() {
         this.settings = await window.electronAPI.getSettings();
+        this.defaultSettings = await window.electronAPI.getDefaultSettings();
         
         // Load home page first
         await this.loadHomePage();
@@ -21,6 +59,7 @@ class AppRenderer {
         this.setupAppInteractions();
         this.setupMenuControls();
         this.setupTrayNavigation();
+        this.setupCommandPalette();
         this.setupThemeSelector();
         this.setupFontSelector();
         this.setupFontSizeSelector();
@@ -29,7 +68,18 @@ class AppRenderer {
         this.setupBehaviorSettings();
         this.setupAdvancedSettings();
         this.setupConfigActions();
+        this.setupSettingsHistory();
+        await this.showShortcutErrors();
+        await this.setupProfiles();
+        this.setupSettingsSync();
         await this.updateMaximizeButton();
+        this.updateWindowMode(await window.electronAPI.getWindowMode());
+        
+        // Windows opened with electronAPI.openNewWindow(page) start on that page
+        const initialPage = new URLSearchParams(window.location.search).get('page');
+        if (initialPage && initialPage !== 'home') {
+            await this.navigateToPage(initialPage);
+        }
         
         // Apply saved settings on startup
         this.applyTheme(this.settings.appearance?.theme || 'dark');
@@ -54,8 +104,9 @@ class AppRenderer {
                 // Show home page by default only on initial load
                 homeContainer.classList.remove('hidden');
                 
-                // Initialize home page functionality
+                // Initialize home page functionality, detaching any earlier instance
                 if (window.HomePage) {
+                    this.homePage?.destroy();
                     this.homePage = new window.HomePage();
                 }
             }
@@ -122,6 +173,32 @@ class AppRenderer {
             window.electronAPI.closeWindow();
         });
 
+        document.getElementById('fullscreen-btn').addEventListener('click', () => {
+            window.electronAPI.toggleWindowMode('fullscreen');
+        });
+
+        document.getElementById('mini-mode-btn').addEventListener('click', () => {
+            window.electronAPI.toggleWindowMode('mini');
+        });
+
+        const layoutBtn = document.getElementById('layout-btn');
+        layoutBtn.addEventListener('click', async () => {
+            const rect = layoutBtn.getBoundingClientRect();
+            const action = await window.electronAPI.showLayoutMenu({ x: rect.left, y: rect.bottom });
+            if (action === 'save') {
+                await this.saveCurrentLayout();
+            }
+        });
+
+        // The titlebar is hidden in presentation mode, so Escape leaves it
+        // (unless it is closing a dialog or the menu first)
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.windowMode === 'kiosk' &&
+                !document.querySelector('.modal-overlay, .slide-menu.open')) {
+                window.electronAPI.toggleWindowMode('kiosk');
+            }
+        });
+
         // Add hover effects
         this.addButtonHoverEffects();
     }
@@ -137,10 +214,57 @@ class AppRenderer {
             this.isMaximized = false;
             this.updateMaximizeButtonIcon();
         });
+
+        window.electronAPI.onWindowEnterMode((mode) => this.updateWindowMode(mode));
+        window.electronAPI.onWindowLeaveMode((mode) => {
+            if (this.windowMode === mode) {
+                this.updateWindowMode(null);
+            }
+        });
+    }
+
+    // Asks for a name and saves the window's current position and size as a layout
+    async saveCurrentLayout() {
+        const name = await this.showPromptDialog({
+            title: 'Save Layout',
+            message: 'Save this window\'s position and size as a layout. A layout with the same name is replaced.',
+            confirmText: 'Save'
+        });
+        if (!name) return;
+
+        const result = await window.electronAPI.saveWindowLayout(name);
+        if (result.success) {
+            this.showNotification(`Layout "${name}" saved`, 'success');
+        } else {
+            const error = result.results?.['layouts.custom']?.error;
+            this.showNotification(`Could not save layout: ${error ? error.message : result.error}`, 'error');
+        }
+    }
+
+    // Adapts the titlebar and layout to the window mode ('fullscreen', 'kiosk', 'mini' or null)
+    updateWindowMode(mode) {
+        this.windowMode = mode;
+        ['fullscreen', 'kiosk', 'mini'].forEach(name => {
+            document.body.classList.toggle(`window-mode-${name}`, name === mode);
+        });
+
+        const fullscreenBtn = document.getElementById('fullscreen-btn');
+        fullscreenBtn.title = mode === 'fullscreen' ? 'Exit fullscreen' : 'Fullscreen';
+        fullscreenBtn.querySelector('i').className = mode === 'fullscreen' ? 'fas fa-compress' : 'fas fa-expand';
+
+        const miniBtn = document.getElementById('mini-mode-btn');
+        miniBtn.title = mode === 'mini' ? 'Exit mini mode' : 'Mini mode';
+
+        // Presentation mode hides the menu along with the titlebar
+        if (mode === 'kiosk') {
+            document.getElementById('slide-menu').classList.remove('open');
+            document.getElementById('menu-overlay').classList.remove('active');
+        }
     }
 
     async updateMaximizeButton() {
-        this.isMaximized = await window.electronAPI.isWindowMaximized();
+        // A refused call resolves to an error object, which is not a yes
+        this.isMaximized = (await window.electronAPI.isMaximized()) === true;
         this.updateMaximizeButtonIcon();
     }
 
@@ -266,29 +390,6 @@ class AppRenderer {
         }, 3000);
     }
 
-    // Utility method to handle keyboard shortcuts
-    setupKeyboardShortcuts() {
-        document.addEventListener('keydown', (event) => {
-            // Ctrl/Cmd + M to minimize
-            if ((event.ctrlKey || event.metaKey) && event.key === 'm') {
-                event.preventDefault();
-                window.electronAPI.minimizeWindow();
-            }
-            
-            // F11 to toggle maximize
-            if (event.key === 'F11') {
-                event.preventDefault();
-                window.electronAPI.maximizeWindow();
-            }
-            
-            // Alt + F4 to close (Windows)
-            if (event.altKey && event.key === 'F4') {
-                event.preventDefault();
-                window.electronAPI.closeWindow();
-            }
-        });
-    }
-
     setupMenuControls() {
         const menuBtn = document.getElementById('menu-btn');
         const slideMenu = document.getElementById('slide-menu');
@@ -321,24 +422,54 @@ class AppRenderer {
             }
         });
 
-        // Handle menu item clicks
+        // Handle menu item clicks; Shift+click or middle-click opens the page in a new window.
+        // Otherwise the page's "Go to" command runs, like from a shortcut or the tray,
+        // and the main process sends the page back through onNavigateToPage
         const menuLinks = document.querySelectorAll('.menu-link');
         menuLinks.forEach(link => {
-            link.addEventListener('click', (event) => {
-                event.preventDefault();
+            const openPage = async (inNewWindow) => {
                 const text = link.querySelector('span').textContent.toLowerCase();
-                this.navigateToPage(text);
                 
                 // Close menu after selection
                 slideMenu.classList.remove('open');
                 menuOverlay.classList.remove('active');
+                
+                if (inNewWindow) {
+                    window.electronAPI.openNewWindow(text);
+                    return;
+                }
+                const result = await window.electronAPI.executeCommand(`page.${text}`);
+                if (!result.success) {
+                    this.showNotification(result.error, 'error');
+                }
+            };
+
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                openPage(event.shiftKey);
+            });
+
+            link.addEventListener('auxclick', (event) => {
+                if (event.button === 1) {
+                    event.preventDefault();
+                    openPage(true);
+                }
             });
         });
     }
 
-    navigateToPage(pageName) {
+    async navigateToPage(pageName) {
+        // Leaving the Configs page with unsaved changes needs confirmation
+        if (this.currentPage === 'configs' && pageName !== 'configs' && this.hasUnsavedChanges) {
+            if (!(await this.confirmDiscardChanges())) {
+                return false;
+            }
+            this.discardPendingSettings();
+        }
+        
         // Update current page tracking
         this.currentPage = pageName;
+        window.electronAPI.setCurrentPage(pageName);
         
         // Hide all pages including home page container
         const pages = document.querySelectorAll('.page');
@@ -399,6 +530,8 @@ class AppRenderer {
                 }
             }
         });
+        
+        return true;
     }
 
     setupTrayNavigation() {
@@ -408,6 +541,120 @@ class AppRenderer {
         });
     }
 
+    setupCommandPalette() {
+        // Opened by its shortcut (Ctrl+Shift+P by default), which the main process handles
+        window.electronAPI.onOpenCommandPalette(() => this.showCommandPalette());
+    }
+
+    // Fuzzy-searchable list of every command; Enter or a click runs the selected one
+    showCommandPalette() {
+        if (document.querySelector('.command-palette')) return;
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay command-palette-overlay';
+        
+        const palette = document.createElement('div');
+        palette.className = 'modal command-palette';
+        palette.setAttribute('role', 'dialog');
+        palette.setAttribute('aria-modal', 'true');
+        
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'config-input';
+        input.placeholder = 'Type a command...';
+        input.setAttribute('aria-label', 'Command');
+        
+        const list = document.createElement('ul');
+        list.className = 'command-palette-list';
+        list.setAttribute('role', 'listbox');
+        
+        palette.append(input, list);
+        overlay.appendChild(palette);
+        
+        let commands = [];
+        let selected = 0;
+        let searchId = 0;
+        
+        const close = () => {
+            document.removeEventListener('keydown', keydownHandler, true);
+            overlay.remove();
+        };
+        
+        const run = async (command) => {
+            close();
+            try {
+                const result = await window.electronAPI.executeCommand(command.id);
+                if (!result.success) {
+                    this.showNotification(result.error, 'error');
+                }
+            } catch (error) {
+                console.error(`Error running command ${command.id}:`, error);
+                this.showNotification(`Could not run "${command.title}"`, 'error');
+            }
+        };
+        
+        const render = () => {
+            list.replaceChildren(...commands.map((command, index) => {
+                const item = document.createElement('li');
+                item.className = 'command-palette-item';
+                item.classList.toggle('selected', index === selected);
+                item.setAttribute('role', 'option');
+                
+                const title = document.createElement('span');
+                title.textContent = command.category ? `${command.category}: ${command.title}` : command.title;
+                item.appendChild(title);
+                
+                if (command.shortcut) {
+                    const shortcut = document.createElement('kbd');
+                    shortcut.textContent = command.shortcut;
+                    item.appendChild(shortcut);
+                }
+                
+                item.addEventListener('click', () => run(command));
+                return item;
+            }));
+            list.children[selected]?.scrollIntoView({ block: 'nearest' });
+        };
+        
+        const search = async () => {
+            // Only the latest query's results are shown
+            const id = ++searchId;
+            const result = await window.electronAPI.listCommands(input.value);
+            if (id !== searchId || !result.success) return;
+            
+            commands = result.commands;
+            selected = 0;
+            render();
+        };
+        
+        const keydownHandler = (event) => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                event.stopPropagation();
+                close();
+            } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                if (commands.length > 0) {
+                    selected = (selected + (event.key === 'ArrowDown' ? 1 : -1) + commands.length) % commands.length;
+                    render();
+                }
+            } else if (event.key === 'Enter' && commands[selected]) {
+                event.preventDefault();
+                run(commands[selected]);
+            }
+        };
+        
+        input.addEventListener('input', search);
+        overlay.addEventListener('click', (event) => {
+            if (event.target === overlay) close();
+        });
+        document.addEventListener('keydown', keydownHandler, true);
+        
+        document.body.appendChild(overlay);
+        input.focus();
+        search();
+    }
+
     setupThemeSelector() {
         const themeSelect = document.getElementById('theme-select');
         if (themeSelect) {
@@ -652,6 +899,7 @@ class AppRenderer {
             { id: 'remember-window-size', key: 'behavior.rememberWindowSize' },
             { id: 'launch-on-startup', key: 'behavior.launchOnStartup' },
             { id: 'start-minimized-to-tray', key: 'behavior.startMinimizedToTray' },
+            { id: 'show-tray-icon', key: 'behavior.showTrayIcon' },
             { id: 'minimize-to-tray', key: 'behavior.minimizeToTray' },
             { id: 'close-to-tray', key: 'behavior.closeToTray' },
             { id: 'always-on-top', key: 'behavior.alwaysOnTop' }
@@ -677,98 +925,151 @@ class AppRenderer {
     }
 
     setupAdvancedSettings() {
-        const shortcuts = [
-            { id: 'shortcut-close', key: 'advanced.keyboardShortcuts.close' },
-            { id: 'shortcut-minimize', key: 'advanced.keyboardShortcuts.minimize' },
-            { id: 'shortcut-maximize', key: 'advanced.keyboardShortcuts.maximize' },
-            { id: 'shortcut-show', key: 'advanced.keyboardShortcuts.show' },
-            { id: 'shortcut-hide', key: 'advanced.keyboardShortcuts.hide' }
-        ];
-
-        shortcuts.forEach(shortcut => {
-            const input = document.getElementById(shortcut.id);
+        SHORTCUT_ACTIONS.forEach(action => {
+            const key = `advanced.keyboardShortcuts.${action}`;
+            const input = document.getElementById(`shortcut-${action}`);
             if (input) {
                 // Load saved shortcut
-                const keys = shortcut.key.split('.');
-                let value = this.settings;
-                for (const k of keys) {
-                    value = value?.[k];
-                }
-                input.value = value || '';
+                input.value = this.getSettingValue(this.settings, key) || '';
 
                 // Add click handler to record new shortcut
                 input.addEventListener('click', () => {
-                    this.recordShortcut(input, shortcut.key);
+                    this.recordShortcut(input, key);
                 });
 
                 // Prevent typing in the input
                 input.addEventListener('keydown', (e) => {
                     e.preventDefault();
                 });
+
+                input.after(this.createShortcutButtons(action));
+            }
+
+            // Global shortcuts work while the app is in the background; in-app
+            // ones only while one of its windows has focus
+            const scopeKey = `advanced.shortcutScopes.${action}`;
+            const scopeSelect = document.getElementById(`shortcut-scope-${action}`);
+            if (scopeSelect) {
+                scopeSelect.value = this.getSettingValue(this.settings, scopeKey) || 'app';
+                scopeSelect.addEventListener('change', (event) => {
+                    this.updatePendingSetting(scopeKey, event.target.value);
+                });
             }
         });
     }
 
+    // Clear and reset-to-default buttons shown next to a shortcut input
+    createShortcutButtons(action) {
+        const key = `advanced.keyboardShortcuts.${action}`;
+        const defaultValue = this.getSettingValue(this.defaultSettings, key);
+        const buttons = document.createElement('span');
+        buttons.className = 'shortcut-buttons';
+
+        [
+            { icon: 'fa-times', title: 'Clear shortcut', value: '' },
+            { icon: 'fa-history', title: `Reset to default (${defaultValue || 'not set'})`, value: defaultValue }
+        ].forEach(({ icon, title, value }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'shortcut-button';
+            button.title = title;
+            button.innerHTML = `<i class="fas ${icon}"></i>`;
+            button.addEventListener('click', (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                this.updatePendingSetting(key, value);
+                this.refreshSettingsPreview();
+            });
+            buttons.appendChild(button);
+        });
+
+        return buttons;
+    }
+
+    // Shows global shortcuts the OS refused to register next to their inputs
+    async showShortcutErrors() {
+        const errors = await window.electronAPI.getShortcutErrors();
+        if (!Array.isArray(errors)) return;
+        errors.forEach(error => this.showSettingError(error.key, error.message));
+    }
+
+    // Records the next key combination pressed as the shortcut for settingKey.
+    // Pressing a second combination within CHORD_RECORD_TIMEOUT records a
+    // chord such as "Ctrl+K Ctrl+T" instead.
     recordShortcut(input, settingKey) {
+        if (input.classList.contains('recording')) return;
         input.classList.add('recording');
         input.value = 'Press keys...';
         input.focus();
+        window.electronAPI.suspendShortcuts(true);
+
+        // The keys pressed so far, one per chord step, and the shortcut the
+        // main process made of them; it knows which keys shortcuts can use
+        const keys = [];
+        let shortcut = null;
+        let chordTimer = null;
+        let finished = false;
+
+        // Saves the recorded shortcut, or restores the previous one when null
+        const finish = (shortcutString) => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(chordTimer);
+            input.classList.remove('recording', 'chord-pending');
+            document.removeEventListener('keydown', keydownHandler, true);
+            input.removeEventListener('blur', blurHandler, true);
+            window.electronAPI.suspendShortcuts(false);
 
-        const recordedKeys = [];
+            if (shortcutString === null) {
+                const value = settingKey in this.pendingSettings
+                    ? this.pendingSettings[settingKey]
+                    : this.getSettingValue(this.settings, settingKey);
+                input.value = value || '';
+            } else {
+                input.value = shortcutString;
+                this.updatePendingSetting(settingKey, shortcutString);
+            }
+        };
         
-        const keydownHandler = (e) => {
+        const keydownHandler = async (e) => {
             e.preventDefault();
             e.stopPropagation();
 
-            const key = e.key;
-            const modifiers = [];
-            
-            if (e.ctrlKey) modifiers.push('Ctrl');
-            if (e.altKey) modifiers.push('Alt');
-            if (e.shiftKey) modifiers.push('Shift');
-            if (e.metaKey) modifiers.push('Meta');
-
             // Don't record modifier keys by themselves
-            if (['Control', 'Alt', 'Shift', 'Meta'].includes(key)) {
+            if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) {
                 return;
             }
 
-            // Build shortcut string
-            const shortcutParts = [...modifiers];
-            
-            // Format special keys
-            let keyName = key;
-            if (key === ' ') keyName = 'Space';
-            else if (key === 'Escape') keyName = 'Esc';
-            else if (key.length === 1) keyName = key.toUpperCase();
-            
-            shortcutParts.push(keyName);
-            const shortcutString = shortcutParts.join('+');
+            clearTimeout(chordTimer);
+            const { key, code, ctrlKey, altKey, shiftKey, metaKey } = e;
+            keys.push({ key, code, ctrlKey, altKey, shiftKey, metaKey });
+            const stepCount = keys.length;
 
-            // Update input and save
-            input.value = shortcutString;
-            input.classList.remove('recording');
-            
-            // Update pending settings
-            this.updatePendingSetting(settingKey, shortcutString);
+            const result = await window.electronAPI.describeShortcut(keys);
+            // A later key or the end of recording overtook this one
+            if (finished || keys.length !== stepCount) return;
 
-            // Remove event listeners
-            document.removeEventListener('keydown', keydownHandler, true);
-            document.removeEventListener('blur', blurHandler, true);
+            if (!result.success) {
+                finish(null);
+                this.showSettingError(settingKey, result.error);
+                return;
+            }
+
+            shortcut = result.shortcut;
+            if (result.complete) {
+                finish(shortcut);
+                return;
+            }
+
+            // Wait briefly for the second step of a chord
+            input.value = `${shortcut} ...`;
+            input.classList.add('chord-pending');
+            chordTimer = setTimeout(() => finish(shortcut), CHORD_RECORD_TIMEOUT);
         };
 
+        // Leaving the field keeps what was recorded so far, if anything
         const blurHandler = () => {
-            input.classList.remove('recording');
-            // Restore original value if cancelled
-            const keys = settingKey.split('.');
-            let value = this.settings;
-            for (const k of keys) {
-                value = value?.[k];
-            }
-            input.value = value || '';
-            
-            document.removeEventListener('keydown', keydownHandler, true);
-            document.removeEventListener('blur', blurHandler, true);
+            finish(shortcut);
         };
 
         // Use capture phase to catch all keydown events
@@ -785,22 +1086,20 @@ class AppRenderer {
                     saveSettingsBtn.disabled = true;
                     saveSettingsBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
                     
-                    // Save all pending settings
-                    await this.saveAllPendingSettings();
+                    // Save all pending settings; the main process re-registers changed shortcuts
+                    const failures = await this.saveAllPendingSettings();
                     
-                    // Update global shortcuts if they were changed
-                    if (Object.keys(this.pendingSettings).some(key => key.startsWith('advanced.keyboardShortcuts'))) {
-                        await window.electronAPI.updateGlobalShortcuts();
+                    if (failures.length > 0) {
+                        this.showNotification(`Nothing was saved: ${failures.length} setting(s) are invalid`, 'error');
+                    } else {
+                        this.showNotification('Settings saved successfully', 'primary');
                     }
-                    
-                    
-                    this.showNotification('Settings saved successfully', 'primary');
                 } catch (error) {
                     console.error('Error saving settings:', error);
                     this.showNotification('Failed to save settings', 'error');
                 } finally {
                     saveSettingsBtn.disabled = false;
-                    saveSettingsBtn.innerHTML = '<i class="fas fa-save"></i> Save Settings';
+                    this.updateSaveButtonState();
                 }
             });
         }
@@ -814,16 +1113,18 @@ class AppRenderer {
                     restoreDefaultsBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Restoring...';
                     
                     // Restore default settings
-                    this.settings = await window.electronAPI.restoreDefaultSettings();
+                    const result = await window.electronAPI.restoreDefaultSettings();
+                    if (!result.success) {
+                        this.showNotification(`Could not restore defaults: ${this.describeSettingErrors(result)}`, 'error');
+                        return;
+                    }
+                    this.settings = result.settings;
                     
                     // Clear pending changes
-                    this.pendingSettings = {};
-                    this.hasUnsavedChanges = false;
-                    this.updateSaveButtonState();
+                    this.resetPendingSettings();
                     
                     // Update all UI elements with new settings
                     this.updateAllSettingsUI();
-                    this.setupAdvancedSettings();
                     
                     
                     this.showNotification('Settings restored to default', 'primary');
@@ -863,13 +1164,339 @@ class AppRenderer {
                 }
             });
         }
+
+        // Import settings button
+        const importSettingsBtn = document.getElementById('import-settings-btn');
+        if (importSettingsBtn) {
+            importSettingsBtn.addEventListener('click', async () => {
+                try {
+                    importSettingsBtn.disabled = true;
+                    importSettingsBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Importing...';
+                    
+                    await this.importSettings();
+                } catch (error) {
+                    console.error('Error importing settings:', error);
+                    this.showNotification('Failed to import settings', 'error');
+                } finally {
+                    importSettingsBtn.disabled = false;
+                    importSettingsBtn.innerHTML = '<i class="fas fa-upload"></i> Import Settings';
+                }
+            });
+        }
     }
 
-    updateAllSettingsUI() {
+    // The first error of a failed settings result, e.g. "appearance.theme: Invalid value (and 2 more)"
+    describeSettingErrors(result) {
+        if (!result.errors?.length) {
+            return result.error;
+        }
+        
+        const [first] = result.errors;
+        const more = result.errors.length > 1 ? ` (and ${result.errors.length - 1} more)` : '';
+        return `${first.key}: ${first.message}${more}`;
+    }
+
+    async importSettings() {
+        const result = await window.electronAPI.importSettings();
+        
+        if (result.canceled) {
+            this.showNotification('Import canceled', 'info');
+            return;
+        }
+        
+        const fileName = result.path ? result.path.split(/[\\/]/).pop() : 'file';
+        
+        if (!result.success) {
+            this.showNotification(`Import failed: ${this.describeSettingErrors(result)}`, 'error');
+            return;
+        }
+        
+        if (result.changes.length === 0) {
+            this.showNotification(`${fileName} matches the current settings`, 'info');
+            return;
+        }
+        
+        const confirmed = await this.showConfirmDialog({
+            title: 'Import Settings',
+            message: `Applying ${fileName} will change the following settings:`,
+            content: this.buildSettingsDiff(result.changes),
+            confirmText: 'Apply'
+        });
+        if (!confirmed) {
+            await window.electronAPI.cancelImportedSettings();
+            this.showNotification('Import canceled', 'info');
+            return;
+        }
+        
+        const applied = await window.electronAPI.applyImportedSettings();
+        if (!applied.success) {
+            this.showNotification(`Import failed: ${this.describeSettingErrors(applied)}`, 'error');
+            return;
+        }
+        
+        // Imported values replace anything that was still pending
+        this.settings = applied.settings;
+        this.resetPendingSettings();
+        this.updateAllSettingsUI();
+        
+        this.showNotification(`Imported ${result.changes.length} setting(s) from ${fileName}`, 'primary');
+    }
+
+    buildSettingsDiff(changes) {
+        const formatValue = (value) => {
+            if (value === null || value === undefined) return '—';
+            return typeof value === 'string' ? value : JSON.stringify(value);
+        };
+        
+        const table = document.createElement('table');
+        table.className = 'settings-diff';
+        
+        changes.forEach(({ key, from, to }) => {
+            const row = table.insertRow();
+            const cells = [key, formatValue(from), formatValue(to)];
+            const classes = ['settings-diff-key', 'settings-diff-from', 'settings-diff-to'];
+            
+            cells.forEach((text, index) => {
+                const cell = row.insertCell();
+                cell.className = classes[index];
+                cell.textContent = text;
+            });
+        });
+        
+        return table;
+    }
+
+    // Shows a modal dialog and resolves to true if the user confirms
+    showConfirmDialog({ title, message, content = null, confirmText = 'Confirm', cancelText = 'Cancel' }) {
+        return new Promise((resolve) => {
+            const overlay = document.createElement('div');
+            overlay.className = 'modal-overlay';
+            
+            const dialog = document.createElement('div');
+            dialog.className = 'modal';
+            dialog.setAttribute('role', 'dialog');
+            dialog.setAttribute('aria-modal', 'true');
+            
+            const heading = document.createElement('h3');
+            heading.textContent = title;
+            dialog.appendChild(heading);
+            
+            if (message) {
+                const text = document.createElement('p');
+                text.className = 'modal-message';
+                text.textContent = message;
+                dialog.appendChild(text);
+            }
+            
+            if (content) {
+                const body = document.createElement('div');
+                body.className = 'modal-body';
+                body.appendChild(content);
+                dialog.appendChild(body);
+            }
+            
+            const actions = document.createElement('div');
+            actions.className = 'config-actions';
+            
+            const cancelBtn = document.createElement('button');
+            cancelBtn.className = 'config-button config-button-secondary';
+            cancelBtn.textContent = cancelText;
+            
+            const confirmBtn = document.createElement('button');
+            confirmBtn.className = 'config-button config-button-primary';
+            confirmBtn.textContent = confirmText;
+            
+            actions.append(cancelBtn, confirmBtn);
+            dialog.appendChild(actions);
+            overlay.appendChild(dialog);
+            
+            const close = (result) => {
+                document.removeEventListener('keydown', keydownHandler, true);
+                overlay.remove();
+                resolve(result);
+            };
+            
+            const keydownHandler = (event) => {
+                if (event.key === 'Escape') {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    close(false);
+                } else if (event.key === 'Enter' && event.target === content) {
+                    event.preventDefault();
+                    close(true);
+                }
+            };
+            
+            cancelBtn.addEventListener('click', () => close(false));
+            confirmBtn.addEventListener('click', () => close(true));
+            overlay.addEventListener('click', (event) => {
+                if (event.target === overlay) close(false);
+            });
+            document.addEventListener('keydown', keydownHandler, true);
+            
+            document.body.appendChild(overlay);
+            (content?.matches?.('input') ? content : confirmBtn).focus();
+        });
+    }
+
+    // Shows a modal text prompt and resolves to the trimmed value, or null if canceled
+    async showPromptDialog({ title, message, value = '', confirmText = 'OK' }) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'config-input';
+        input.value = value;
+        
+        const confirmed = await this.showConfirmDialog({ title, message, content: input, confirmText });
+        return confirmed ? input.value.trim() : null;
+    }
+
+    // Resolves to true if there are no unsaved changes or the user agrees to drop them
+    async confirmDiscardChanges() {
+        if (!this.hasUnsavedChanges) return true;
+        
+        return this.showConfirmDialog({
+            title: 'Unsaved Changes',
+            message: 'You have unsaved settings changes. Discard them?',
+            confirmText: 'Discard'
+        });
+    }
+
+    async setupProfiles() {
+        this.profiles = await window.electronAPI.getProfiles();
+        this.updateProfileUI();
+        
+        // Profile switches can also come from the tray menu
+        // The new settings themselves arrive through onSettingsChanged
+        window.electronAPI.onProfileChanged(({ profiles }) => {
+            this.profiles = profiles;
+            this.resetPendingSettings();
+            this.updateAllSettingsUI();
+            this.updateProfileUI();
+            this.showNotification(`Switched to profile "${profiles.active}"`, 'primary');
+        });
+        
+        const profileSelect = document.getElementById('profile-select');
+        if (profileSelect) {
+            profileSelect.addEventListener('change', async (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                const name = event.target.value;
+                
+                if (!(await this.confirmDiscardChanges())) {
+                    this.updateProfileUI();
+                    return;
+                }
+                
+                const result = await window.electronAPI.switchProfile(name);
+                if (!result.success) {
+                    this.showNotification(result.error, 'error');
+                    this.updateProfileUI();
+                }
+            });
+        }
+        
+        const createProfileBtn = document.getElementById('create-profile-btn');
+        if (createProfileBtn) {
+            createProfileBtn.addEventListener('click', async () => {
+                const name = await this.showPromptDialog({
+                    title: 'New Profile',
+                    message: 'Name for the new profile. It starts with the default settings.',
+                    confirmText: 'Create'
+                });
+                if (name) {
+                    await this.runProfileAction(window.electronAPI.createProfile(name), `Profile "${name}" created`);
+                }
+            });
+        }
+        
+        const duplicateProfileBtn = document.getElementById('duplicate-profile-btn');
+        if (duplicateProfileBtn) {
+            duplicateProfileBtn.addEventListener('click', async () => {
+                const source = this.profiles.active;
+                const name = await this.showPromptDialog({
+                    title: 'Duplicate Profile',
+                    message: `Name for the copy of "${source}":`,
+                    value: `${source} Copy`,
+                    confirmText: 'Duplicate'
+                });
+                if (name) {
+                    await this.runProfileAction(window.electronAPI.duplicateProfile(source, name), `Profile "${name}" created`);
+                }
+            });
+        }
+        
+        const renameProfileBtn = document.getElementById('rename-profile-btn');
+        if (renameProfileBtn) {
+            renameProfileBtn.addEventListener('click', async () => {
+                const source = this.profiles.active;
+                const name = await this.showPromptDialog({
+                    title: 'Rename Profile',
+                    message: `New name for "${source}":`,
+                    value: source,
+                    confirmText: 'Rename'
+                });
+                if (name && name !== source) {
+                    await this.runProfileAction(window.electronAPI.renameProfile(source, name), `Profile renamed to "${name}"`);
+                }
+            });
+        }
+        
+        const deleteProfileBtn = document.getElementById('delete-profile-btn');
+        if (deleteProfileBtn) {
+            deleteProfileBtn.addEventListener('click', async () => {
+                const name = this.profiles.active;
+                const confirmed = await this.showConfirmDialog({
+                    title: 'Delete Profile',
+                    message: `Delete the profile "${name}"? You will be switched to another profile.`,
+                    confirmText: 'Delete'
+                });
+                if (confirmed && await this.confirmDiscardChanges()) {
+                    await this.runProfileAction(window.electronAPI.deleteProfile(name), `Profile "${name}" deleted`);
+                }
+            });
+        }
+    }
+
+    async runProfileAction(request, successMessage) {
+        try {
+            const result = await request;
+            if (result.success) {
+                this.profiles = result.profiles;
+                this.updateProfileUI();
+                this.showNotification(successMessage, 'primary');
+            } else {
+                this.showNotification(result.error, 'error');
+            }
+        } catch (error) {
+            console.error('Error updating profiles:', error);
+            this.showNotification('Failed to update profiles', 'error');
+        }
+    }
+
+    updateProfileUI() {
+        const profileSelect = document.getElementById('profile-select');
+        if (!profileSelect || !this.profiles) return;
+        
+        profileSelect.replaceChildren(...this.profiles.names.map(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            return option;
+        }));
+        profileSelect.value = this.profiles.active;
+        
+        const deleteProfileBtn = document.getElementById('delete-profile-btn');
+        if (deleteProfileBtn) {
+            deleteProfileBtn.disabled = this.profiles.names.length <= 1;
+        }
+    }
+
+    // Syncs every Configs control and the live appearance with the given settings
+    updateAllSettingsUI(settings = this.settings) {
         // Update theme selector
         const themeSelect = document.getElementById('theme-select');
         if (themeSelect) {
-            const theme = this.settings.appearance?.theme || 'dark';
+            const theme = settings.appearance?.theme || 'dark';
             themeSelect.value = theme;
             this.applyTheme(theme);
         }
@@ -877,7 +1504,7 @@ class AppRenderer {
         // Update font selector
         const fontSelect = document.getElementById('font-select');
         if (fontSelect) {
-            const fontFamily = this.settings.appearance?.fontFamily || 'smooch-sans';
+            const fontFamily = settings.appearance?.fontFamily || 'smooch-sans';
             fontSelect.value = fontFamily;
             this.applyFont(fontFamily);
         }
@@ -885,7 +1512,7 @@ class AppRenderer {
         // Update font size selector
         const fontSizeSelect = document.getElementById('font-size-select');
         if (fontSizeSelect) {
-            const fontSize = this.settings.appearance?.fontSize || 'small';
+            const fontSize = settings.appearance?.fontSize || 'small';
             fontSizeSelect.value = fontSize;
             this.applyFontSize(fontSize);
         }
@@ -893,7 +1520,7 @@ class AppRenderer {
         // Update button style selector
         const buttonStyleSelect = document.getElementById('button-style-select');
         if (buttonStyleSelect) {
-            const buttonStyle = this.settings.appearance?.titlebarButtonStyle || 'round';
+            const buttonStyle = settings.appearance?.titlebarButtonStyle || 'round';
             buttonStyleSelect.value = buttonStyle;
             this.applyButtonStyle(buttonStyle);
         }
@@ -901,7 +1528,7 @@ class AppRenderer {
         // Update accent color selector
         const accentColorSelect = document.getElementById('accent-color-select');
         if (accentColorSelect) {
-            const accentColor = this.settings.appearance?.accentColor || '#00a2ff';
+            const accentColor = settings.appearance?.accentColor || '#00a2ff';
             accentColorSelect.value = accentColor;
             this.applyAccentColor(accentColor);
         }
@@ -911,6 +1538,7 @@ class AppRenderer {
             { id: 'remember-window-size', key: 'rememberWindowSize' },
             { id: 'launch-on-startup', key: 'launchOnStartup' },
             { id: 'start-minimized-to-tray', key: 'startMinimizedToTray' },
+            { id: 'show-tray-icon', key: 'showTrayIcon' },
             { id: 'minimize-to-tray', key: 'minimizeToTray' },
             { id: 'close-to-tray', key: 'closeToTray' },
             { id: 'always-on-top', key: 'alwaysOnTop' }
@@ -919,15 +1547,174 @@ class AppRenderer {
         behaviorSettings.forEach(setting => {
             const checkbox = document.getElementById(setting.id);
             if (checkbox) {
-                checkbox.checked = this.settings.behavior?.[setting.key] || false;
+                checkbox.checked = settings.behavior?.[setting.key] || false;
+            }
+        });
+
+        // Update default window state selector
+        const windowStateSelect = document.getElementById('window-state-select');
+        if (windowStateSelect) {
+            windowStateSelect.value = settings.behavior?.defaultWindowState || 'normal';
+        }
+
+        // Update keyboard shortcut inputs and their scopes
+        const shortcuts = settings.advanced?.keyboardShortcuts || {};
+        const scopes = settings.advanced?.shortcutScopes || {};
+        SHORTCUT_ACTIONS.forEach(action => {
+            const input = document.getElementById(`shortcut-${action}`);
+            if (input) {
+                input.value = shortcuts[action] || '';
+            }
+            const scopeSelect = document.getElementById(`shortcut-scope-${action}`);
+            if (scopeSelect) {
+                scopeSelect.value = scopes[action] || 'app';
             }
         });
     }
 
     updatePendingSetting(key, value) {
-        this.pendingSettings[key] = value;
-        this.hasUnsavedChanges = true;
+        // Changing a control back to its saved value is not a pending change
+        const savedValue = this.getSettingValue(this.settings, key);
+        this.changePendingSetting(key, value === savedValue ? undefined : value);
+    }
+
+    // Records an undoable change to the pending settings. undefined means the
+    // key has no pending change and shows its saved value.
+    changePendingSetting(key, value) {
+        const previous = this.pendingSettings[key];
+        if (previous === value) return;
+        
+        this.undoStack.push({ key, before: previous, after: value });
+        this.redoStack = [];
+        this.setPendingValue(key, value);
+    }
+
+    setPendingValue(key, value) {
+        this.clearSettingError(key);
+        if (value === undefined) {
+            delete this.pendingSettings[key];
+        } else {
+            this.pendingSettings[key] = value;
+        }
+        this.updatePendingState();
+    }
+
+    updatePendingState() {
+        this.hasUnsavedChanges = Object.keys(this.pendingSettings).length > 0;
         this.updateSaveButtonState();
+        this.updateModifiedIndicators();
+    }
+
+    undoSettingChange() {
+        const entry = this.undoStack.pop();
+        if (!entry) return;
+        
+        this.redoStack.push(entry);
+        this.setPendingValue(entry.key, entry.before);
+        this.refreshSettingsPreview();
+    }
+
+    redoSettingChange() {
+        const entry = this.redoStack.pop();
+        if (!entry) return;
+        
+        this.undoStack.push(entry);
+        this.setPendingValue(entry.key, entry.after);
+        this.refreshSettingsPreview();
+    }
+
+    revertSetting(key) {
+        this.changePendingSetting(key, undefined);
+        this.refreshSettingsPreview();
+    }
+
+    // Drops every unsaved edit and rolls the live preview back to the saved settings
+    discardPendingSettings() {
+        this.resetPendingSettings();
+        this.refreshSettingsPreview();
+    }
+
+    resetPendingSettings() {
+        this.pendingSettings = {};
+        this.undoStack = [];
+        this.redoStack = [];
+        this.clearAllSettingErrors();
+        this.updatePendingState();
+    }
+
+    // Forgets pending edits and their history for keys that now have a new saved value
+    dropPendingSettings(keys) {
+        keys.forEach(key => {
+            delete this.pendingSettings[key];
+            this.clearSettingError(key);
+        });
+        this.undoStack = this.undoStack.filter(entry => !keys.includes(entry.key));
+        this.redoStack = this.redoStack.filter(entry => !keys.includes(entry.key));
+        this.updatePendingState();
+    }
+
+    // Shows the saved settings with any unsaved edits applied on top
+    refreshSettingsPreview() {
+        const effective = structuredClone(this.settings);
+        Object.entries(this.pendingSettings).forEach(([key, value]) => {
+            this.setSettingValue(effective, key, value);
+        });
+        this.updateAllSettingsUI(effective);
+    }
+
+    setupSettingsHistory() {
+        // Per-field "revert to saved" buttons, shown while a field has a pending change
+        Object.keys(SETTING_CONTROLS).forEach(key => {
+            const container = this.getSettingContainer(key);
+            if (!container) return;
+            
+            const revertBtn = document.createElement('button');
+            revertBtn.type = 'button';
+            revertBtn.className = 'config-revert';
+            revertBtn.title = 'Revert to saved value';
+            revertBtn.innerHTML = '<i class="fas fa-undo"></i>';
+            revertBtn.addEventListener('click', (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                this.revertSetting(key);
+            });
+            container.classList.add('has-revert');
+            container.appendChild(revertBtn);
+        });
+        
+        const discardChangesBtn = document.getElementById('discard-changes-btn');
+        if (discardChangesBtn) {
+            discardChangesBtn.addEventListener('click', () => {
+                this.discardPendingSettings();
+                this.showNotification('Unsaved changes discarded', 'info');
+            });
+        }
+        
+        // Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) step through pending changes on the Configs page
+        document.addEventListener('keydown', (event) => {
+            if (this.currentPage !== 'configs' || document.querySelector('.modal-overlay')) return;
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+            
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                this.undoSettingChange();
+            } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+                event.preventDefault();
+                this.redoSettingChange();
+            }
+        });
+        
+        this.updatePendingState();
+    }
+
+    updateModifiedIndicators() {
+        Object.keys(SETTING_CONTROLS).forEach(key => {
+            const container = this.getSettingContainer(key);
+            if (container) {
+                container.classList.toggle('is-modified', key in this.pendingSettings);
+            }
+        });
     }
 
     updateSaveButtonState() {
@@ -941,30 +1728,111 @@ class AppRenderer {
                 saveBtn.innerHTML = '<i class="fas fa-save"></i> Save Settings';
             }
         }
+        
+        const discardChangesBtn = document.getElementById('discard-changes-btn');
+        if (discardChangesBtn) {
+            discardChangesBtn.disabled = !this.hasUnsavedChanges;
+        }
     }
 
+    // Saves every pending setting in one transaction: either all of them are
+    // applied or none are. Returns the errors for the invalid settings.
     async saveAllPendingSettings() {
-        for (const [key, value] of Object.entries(this.pendingSettings)) {
-            await window.electronAPI.saveSetting(key, value);
+        const keys = Object.keys(this.pendingSettings);
+        if (keys.length === 0) return [];
+        
+        const result = await window.electronAPI.saveSettingsBatch(this.pendingSettings);
+        
+        if (!result.success) {
+            // Keep everything pending so the invalid values can be corrected
+            const failures = Object.values(result.results || {})
+                .filter(({ error }) => error && error.code !== 'not-applied')
+                .map(({ error }) => error);
+            failures.forEach(error => this.showSettingError(error.key, error.message));
+            
+            return failures.length > 0 ? failures : [{ key: '', code: 'unknown', message: result.error }];
         }
         
-        // Update local settings object
-        for (const [key, value] of Object.entries(this.pendingSettings)) {
-            const keys = key.split('.');
-            let current = this.settings;
-            for (let i = 0; i < keys.length - 1; i++) {
-                if (!current[keys[i]]) {
-                    current[keys[i]] = {};
-                }
-                current = current[keys[i]];
+        this.settings = result.settings;
+        this.dropPendingSettings(keys);
+        await this.showShortcutErrors();
+        return [];
+    }
+
+    getSettingValue(source, key) {
+        let value = source;
+        for (const k of key.split('.')) {
+            value = value?.[k];
+        }
+        return value;
+    }
+
+    setSettingValue(target, key, value) {
+        const keys = key.split('.');
+        let current = target;
+        for (let i = 0; i < keys.length - 1; i++) {
+            if (!current[keys[i]]) {
+                current[keys[i]] = {};
+            }
+            current = current[keys[i]];
+        }
+        current[keys[keys.length - 1]] = value;
+    }
+
+    setupSettingsSync() {
+        // Settings can change from this page, another window, the tray or a settings.json edit
+        window.electronAPI.onSettingsChanged(({ source, changes, settings }) => {
+            this.settings = settings;
+            
+            // The new saved value wins over an unsaved edit of the same key;
+            // remaining unsaved edits keep being previewed on top
+            this.dropPendingSettings(changes.map(({ key }) => key));
+            this.refreshSettingsPreview();
+            
+            if (source === 'file') {
+                this.showNotification('Settings reloaded from settings.json', 'info');
             }
-            current[keys[keys.length - 1]] = value;
+        });
+        
+        window.electronAPI.onSettingsFileInvalid(({ errors }) => {
+            const [first] = errors;
+            const location = first.key ? `${first.key}: ` : '';
+            this.showNotification(`settings.json was not applied. ${location}${first.message}`, 'error');
+        });
+    }
+
+    getSettingContainer(key) {
+        const control = document.getElementById(SETTING_CONTROLS[key]);
+        return control ? control.closest('.shortcut-scope, .shortcut-item, .config-item') : null;
+    }
+
+    showSettingError(key, message) {
+        const container = this.getSettingContainer(key);
+        if (!container) return;
+        
+        let errorElement = container.querySelector(':scope > .config-error');
+        if (!errorElement) {
+            errorElement = document.createElement('small');
+            errorElement.className = 'config-error';
+            container.appendChild(errorElement);
         }
+        errorElement.textContent = message;
+        container.classList.add('has-error');
+    }
+
+    clearSettingError(key) {
+        const container = this.getSettingContainer(key);
+        if (!container) return;
         
-        // Clear pending changes
-        this.pendingSettings = {};
-        this.hasUnsavedChanges = false;
-        this.updateSaveButtonState();
+        const errorElement = container.querySelector(':scope > .config-error');
+        if (errorElement) {
+            errorElement.remove();
+        }
+        container.classList.remove('has-error');
+    }
+
+    clearAllSettingErrors() {
+        Object.keys(SETTING_CONTROLS).forEach(key => this.clearSettingError(key));
     }
 
     updateOSInfo() {
@@ -26,6 +26,12 @@ class SplashScreen {
     // Apply theme from loaded settings
     this.applyTheme();
     
+    // Follow appearance changes made while the splash is still showing
+    window.electronAPI?.onSettingsChanged?.(['appearance'], ({ settings }) => {
+      this.settings = settings;
+      this.applyTheme();
+    });
+    
     // Start loading sequence
     this.startLoadingSequence();
   }
@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseAccelerator,
+  parseShortcut,
+  isChord,
+  validateAccelerator,
+  validateShortcut,
+  isSameAccelerator,
+  findConflicts,
+  acceleratorFromKeyEvent,
+  matchesAccelerator
+} = require('../src/main/accelerator');
+const { validateSetting } = require('../src/main/settings-schema');
+
+const keyDown = (key, code, modifiers = {}) => ({
+  type: 'keyDown', key, code, control: false, meta: false, alt: false, shift: false, ...modifiers
+});
+
+test('accelerators are parsed into modifiers and a key', () => {
+  assert.deepEqual(parseAccelerator('CmdOrCtrl+Shift+K', 'linux'), { modifiers: new Set(['control', 'shift']), key: 'k' });
+  assert.deepEqual(parseAccelerator('CmdOrCtrl+K', 'darwin'), { modifiers: new Set(['meta']), key: 'k' });
+  assert.deepEqual(parseAccelerator('Ctrl++'), { modifiers: new Set(['control']), key: 'plus' });
+  assert.equal(parseAccelerator('Hyper+K'), null);
+  assert.equal(parseAccelerator(''), null);
+});
+
+test('input matches only with exactly the accelerator\'s modifiers', () => {
+  assert.ok(matchesAccelerator(keyDown('F11', 'F11'), 'F11'));
+  assert.ok(matchesAccelerator(keyDown('K', 'KeyK', { control: true, shift: true }), 'Ctrl+Shift+K'));
+  assert.ok(!matchesAccelerator(keyDown('k', 'KeyK', { control: true }), 'Ctrl+Shift+K'));
+  assert.ok(!matchesAccelerator(keyDown('F11', 'F11', { alt: true }), 'F11'));
+  assert.ok(!matchesAccelerator({ ...keyDown('F11', 'F11'), type: 'keyUp' }, 'F11'));
+});
+
+test('named keys and shifted digits are matched', () => {
+  assert.ok(matchesAccelerator(keyDown('Escape', 'Escape'), 'Esc'));
+  assert.ok(matchesAccelerator(keyDown('ArrowUp', 'ArrowUp', { alt: true }), 'Alt+Up'));
+  assert.ok(matchesAccelerator(keyDown('!', 'Digit1', { control: true, shift: true }), 'Ctrl+Shift+1'));
+  assert.ok(matchesAccelerator(keyDown('5', 'Numpad5', { control: true }), 'Ctrl+num5'));
+});
+
+test('only accelerators Electron understands are valid', () => {
+  ['Ctrl+Shift+K', 'Ctrl+Escape', 'Alt+Esc', 'F24', 'Ctrl++', 'Alt+;', 'CmdOrCtrl+PageDown', 'Shift+num5', ''].forEach((accelerator) => {
+    assert.equal(validateAccelerator(accelerator), null, accelerator);
+  });
+  ['Ctrl+', 'Ctrl+Shift', 'Hyper+K', 'F25', 'Ctrl+Dead', 'Ctrl+KK'].forEach((accelerator) => {
+    assert.equal(validateAccelerator(accelerator).code, 'invalid-format', accelerator);
+  });
+
+  assert.equal(validateSetting('advanced.keyboardShortcuts.close', ''), null);
+  assert.equal(validateSetting('advanced.keyboardShortcuts.close', 'Q').code, 'invalid-format');
+  assert.equal(validateSetting('advanced.keyboardShortcuts.close', 'Ctrl+Unknown').code, 'invalid-format');
+});
+
+test('only F-keys and media keys can be shortcuts without a modifier', () => {
+  ['F11', 'F24', 'MediaPlayPause', 'MediaNextTrack', 'VolumeUp', 'VolumeMute'].forEach((accelerator) => {
+    assert.equal(validateAccelerator(accelerator), null, accelerator);
+  });
+  ['K', '1', 'Escape', 'Enter', 'Space', 'PageDown', 'num5', 'numadd', ';'].forEach((accelerator) => {
+    assert.equal(validateAccelerator(accelerator).code, 'invalid-format', accelerator);
+  });
+});
+
+test('shortcuts bound to the same keys conflict', () => {
+  assert.ok(isSameAccelerator('Ctrl+Esc', 'Control+Escape'));
+  assert.ok(isSameAccelerator('CmdOrCtrl+Q', 'Ctrl+Q', 'linux'));
+  assert.ok(!isSameAccelerator('CmdOrCtrl+Q', 'Ctrl+Q', 'darwin'));
+  assert.ok(!isSameAccelerator('Ctrl+Q', 'Ctrl+Shift+Q'));
+
+  assert.deepEqual(findConflicts({ close: 'Ctrl+Q', minimize: '', hide: '', quit: 'Control+Q' }, 'linux'), [
+    { action: 'quit', conflictsWith: 'close' }
+  ]);
+});
+
+test('shortcuts can be chords of two accelerators', () => {
+  assert.deepEqual(parseShortcut(' Ctrl+K  Ctrl+T '), ['Ctrl+K', 'Ctrl+T']);
+  assert.deepEqual(parseShortcut(''), []);
+  assert.ok(isChord('Ctrl+K Ctrl+T'));
+  assert.ok(!isChord('Ctrl+K'));
+
+  assert.equal(validateShortcut('Ctrl+K Ctrl+T'), null);
+  assert.equal(validateShortcut('Ctrl+K T').code, 'invalid-format');
+  assert.equal(validateShortcut('Ctrl+K Ctrl+T Ctrl+U').code, 'out-of-range');
+  assert.equal(validateShortcut('Ctrl+K Ctrl+Dead').code, 'invalid-format');
+  assert.equal(validateShortcut('   ').code, 'invalid-format');
+  assert.equal(validateSetting('advanced.keyboardShortcuts.close', 'Ctrl+K Ctrl+Q'), null);
+});
+
+test('a chord conflicts with a shortcut for its first step', () => {
+  assert.deepEqual(findConflicts({ close: 'Ctrl+K', theme: 'Ctrl+K Ctrl+T', configs: 'Ctrl+K Ctrl+C' }, 'linux'), [
+    { action: 'theme', conflictsWith: 'close' },
+    { action: 'configs', conflictsWith: 'close' }
+  ]);
+  assert.deepEqual(findConflicts({ theme: 'Ctrl+K Ctrl+T', configs: 'Ctrl+K Ctrl+C', tabs: 'Ctrl+T' }, 'linux'), []);
+});
+
+test('recorded keys become accelerators the validator accepts', () => {
+  const pressed = (key, code, modifiers = {}) => ({
+    key, code, ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, ...modifiers
+  });
+
+  assert.equal(acceleratorFromKeyEvent(pressed('!', 'Digit1', { ctrlKey: true, shiftKey: true })), 'Ctrl+Shift+1');
+  assert.equal(acceleratorFromKeyEvent(pressed('ArrowUp', 'ArrowUp', { altKey: true })), 'Alt+Up');
+  assert.equal(acceleratorFromKeyEvent(pressed(' ', 'Space', { ctrlKey: true })), 'Ctrl+Space');
+  assert.equal(acceleratorFromKeyEvent(pressed('PageDown', 'PageDown', { altKey: true })), 'Alt+PageDown');
+  assert.equal(acceleratorFromKeyEvent(pressed('+', 'NumpadAdd', { ctrlKey: true })), 'Ctrl+numadd');
+  assert.equal(acceleratorFromKeyEvent(pressed('Escape', 'Escape', { ctrlKey: true })), 'Ctrl+Escape');
+  assert.equal(acceleratorFromKeyEvent(pressed('Enter', 'Enter', { altKey: true })), 'Alt+Enter');
+  assert.equal(acceleratorFromKeyEvent(pressed('F12', 'F12', { metaKey: true })), 'Meta+F12');
+  assert.equal(acceleratorFromKeyEvent(pressed('MediaPlayPause', 'MediaPlayPause')), 'MediaPlayPause');
+  assert.equal(acceleratorFromKeyEvent(pressed('Dead', 'Quote')), null);
+
+  ['Ctrl+Shift+1', 'Alt+Up', 'Ctrl+Space', 'Alt+PageDown', 'Ctrl+numadd', 'Ctrl+Escape', 'Alt+Enter', 'Meta+F12', 'MediaPlayPause'].forEach((accelerator) => {
+    assert.equal(validateAccelerator(accelerator), null, accelerator);
+  });
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CommandRegistry, fuzzyScore, searchCommands } = require('../src/main/command-registry');
+
+test('commands run with their context and report failures instead of throwing', async () => {
+  const registry = new CommandRegistry();
+  registry.register({ id: 'window.close', title: 'Close Window', shortcut: 'close', handler: ({ window }) => `closed ${window}` });
+  registry.register({ id: 'broken', title: 'Broken', handler: () => { throw new Error('Nope'); } });
+
+  assert.deepEqual(await registry.execute('window.close', { window: 1 }), { success: true, result: 'closed 1' });
+  assert.equal(registry.findByShortcut('close').id, 'window.close');
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    assert.deepEqual(await registry.execute('broken'), { success: false, error: 'Nope' });
+  } finally {
+    console.error = originalError;
+  }
+  assert.deepEqual(await registry.execute('missing'), { success: false, error: 'Unknown command "missing"' });
+});
+
+test('ids are unique and registrations can be undone', () => {
+  const registry = new CommandRegistry();
+  const unregister = registry.register({ id: 'app.quit', title: 'Quit', handler: () => {} });
+
+  assert.throws(() => registry.register({ id: 'app.quit', title: 'Quit', handler: () => {} }), /already registered/);
+  assert.throws(() => registry.register({ id: 'app.nothing', title: 'Nothing' }), /needs an id, a title and a handler/);
+
+  unregister();
+  assert.equal(registry.get('app.quit'), null);
+});
+
+test('providers add commands that follow the app state', () => {
+  const registry = new CommandRegistry();
+  const profiles = ['Default'];
+  registry.registerProvider(() => profiles.map((name) => ({ id: `profile.${name}`, title: name, handler: () => name })));
+
+  profiles.push('Work');
+  assert.deepEqual(registry.list().map(({ id }) => id), ['profile.Default', 'profile.Work']);
+  assert.equal(registry.get('profile.Work').shortcut, null);
+});
+
+test('search matches characters in order and ranks word starts first', () => {
+  const commands = [
+    { id: 'window.maximize', title: 'Maximize / Restore Window', category: 'Window' },
+    { id: 'layout.left-half', title: 'Left Half', category: 'Layout' },
+    { id: 'settings.export', title: 'Export Settings...', category: 'Settings' }
+  ];
+
+  assert.equal(fuzzyScore('xyz', 'Export Settings'), null);
+  assert.ok(fuzzyScore('exp', 'Export Settings') > fuzzyScore('exp', 'Maximize Explorer'));
+  assert.deepEqual(searchCommands(commands, 'layout left').map(({ id }) => id), ['layout.left-half']);
+  assert.deepEqual(searchCommands(commands, 'max').map(({ id }) => id), ['window.maximize']);
+  assert.equal(searchCommands(commands, '').length, 3);
+});
@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const { INVOKE_CHANNELS, checkShape, validateInvoke, validateResult, isTrustedUrl } = require('../src/main/ipc-contract');
+
+test('calls matching the contract pass', () => {
+  assert.equal(validateInvoke('window-minimize', []), null);
+  assert.equal(validateInvoke('save-setting', ['appearance.theme', 'dark']), null);
+  assert.equal(validateInvoke('open-new-window', [undefined]), null);
+  assert.equal(validateInvoke('window-show-layout-menu', [{ x: 10, y: 20.5 }]), null);
+  assert.equal(validateInvoke('save-settings-batch', [{ 'appearance.theme': 'dark' }]), null);
+});
+
+test('unknown channels and mismatched arguments are refused with structured errors', () => {
+  assert.deepEqual(validateInvoke('read-file', ['/etc/passwd']), {
+    success: false,
+    code: 'unknown-channel',
+    error: 'Unknown IPC channel "read-file"'
+  });
+  assert.equal(validateInvoke('toString', []).code, 'unknown-channel');
+
+  assert.equal(validateInvoke('window-close', [1]).code, 'invalid-args');
+  assert.equal(validateInvoke('switch-profile', []).error, 'Argument 1 of "switch-profile" is required');
+  assert.equal(validateInvoke('window-suspend-shortcuts', ['yes']).error, 'Argument 1 of "window-suspend-shortcuts" must be true or false');
+  assert.equal(validateInvoke('window-show-layout-menu', [{ x: 'left', y: 0 }]).code, 'invalid-args');
+  assert.equal(validateInvoke('create-profile', ['x'.repeat(300)]).code, 'invalid-args');
+});
+
+test('setting keys that could reach the object prototype are refused', () => {
+  assert.equal(validateInvoke('save-setting', ['__proto__.polluted', true]).code, 'invalid-args');
+  assert.equal(validateInvoke('save-setting', ['appearance..theme', 'dark']).code, 'invalid-args');
+
+  const changes = JSON.parse('{"__proto__": {"polluted": true}}');
+  assert.equal(validateInvoke('save-settings-batch', [changes]).code, 'invalid-args');
+});
+
+test('shapes', () => {
+  assert.equal(checkShape('string?', null), null);
+  assert.equal(checkShape({ type: 'integer', min: 0 }, 1.5), 'value must be a whole number');
+  assert.equal(checkShape({ type: 'array', items: 'string' }, ['a', 2]), 'value[1] must be a string');
+  assert.equal(checkShape('object', []), 'value must be an object');
+  assert.equal(checkShape('number', Infinity), 'value must be a number');
+});
+
+test('results that don\'t match the contract are replaced with structured errors', () => {
+  assert.equal(validateResult('window-minimize', undefined), null);
+  assert.equal(validateResult('window-get-mode', null), null);
+  assert.equal(validateResult('save-setting', { success: false, error: 'Nope' }), null);
+
+  assert.deepEqual(validateResult('window-minimize', true), {
+    success: false,
+    code: 'invalid-result',
+    error: 'Result of "window-minimize" must be empty'
+  });
+  assert.equal(validateResult('window-is-maximized', undefined).code, 'invalid-result');
+  assert.equal(validateResult('execute-command', { ok: true }).code, 'invalid-result');
+  assert.equal(validateResult('get-shortcut-errors', {}).code, 'invalid-result');
+});
+
+test('every channel declares its argument and return shapes', () => {
+  for (const [channel, contract] of Object.entries(INVOKE_CHANNELS)) {
+    assert.ok(Array.isArray(contract.args), channel);
+    assert.ok(contract.returns, channel);
+    [...contract.args, contract.returns].forEach((shape) => {
+      assert.doesNotMatch(checkShape(shape, {}) || '', /unknown shape/, channel);
+    });
+  }
+});
+
+// The sandboxed preload can't load the contract, so its channel names are
+// written out by hand
+test('the preload invokes exactly the channels of the contract', () => {
+  const preload = fs.readFileSync(path.join(__dirname, '../src/preload/preload.js'), 'utf8');
+  const invoked = [...preload.matchAll(/ipcRenderer\.invoke\('([^']+)'/g)].map(([, channel]) => channel);
+
+  assert.deepEqual([...new Set(invoked)].sort(), Object.keys(INVOKE_CHANNELS).sort());
+});
+
+test('only app pages are trusted senders', () => {
+  const rendererDir = path.resolve('/app/src/renderer');
+
+  assert.equal(isTrustedUrl(pathToFileURL(path.join(rendererDir, 'index.html')).href, rendererDir), true);
+  assert.equal(isTrustedUrl(pathToFileURL(path.resolve('/app/src/main/main.js')).href, rendererDir), false);
+  assert.equal(isTrustedUrl(`${pathToFileURL(rendererDir).href}/../main/main.js`, rendererDir), false);
+  assert.equal(isTrustedUrl('https://example.com/index.html', rendererDir), false);
+  assert.equal(isTrustedUrl('not a url', rendererDir), false);
+});
@@ -0,0 +1,14 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseLaunchArgs } = require('../src/main/launch-args');
+
+test('the page can be given as --page=name or --page name', () => {
+  assert.deepEqual(parseLaunchArgs(['electron', '.', '--page=configs']), { page: 'configs' });
+  assert.deepEqual(parseLaunchArgs(['flexcore.exe', '--page', 'details']), { page: 'details' });
+});
+
+test('other arguments are ignored', () => {
+  assert.deepEqual(parseLaunchArgs(['electron', '.', '--dev', '--allow-file-access-from-files']), {});
+  assert.deepEqual(parseLaunchArgs(['electron', '--page', '--dev']), {});
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ProfileStore = require('../src/main/profile-store');
+const { getDefaults } = require('../src/main/settings-schema');
+
+function withStore(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flexcore-profiles-'));
+  const store = new ProfileStore({ userDataPath: dir });
+
+  try {
+    run(store, dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('a Default profile is created from the current settings', () => withStore((store) => {
+  store.load(getDefaults());
+
+  assert.deepEqual(store.list(), { active: 'Default', names: ['Default'] });
+  assert.equal(store.get('Default').window, undefined);
+  assert.ok(fs.existsSync(store.filePath));
+}));
+
+test('profiles can be created, duplicated, renamed and deleted', () => withStore((store) => {
+  store.load(getDefaults());
+  store.create('Focus', getDefaults());
+  store.duplicate('Focus', 'Presenting');
+  store.rename('Default', 'Everyday');
+  store.remove('Focus');
+
+  assert.deepEqual(store.list(), { active: 'Everyday', names: ['Everyday', 'Presenting'] });
+}));
+
+test('invalid and duplicate names are rejected', () => withStore((store) => {
+  store.load(getDefaults());
+
+  assert.throws(() => store.create('Default', getDefaults()), /already exists/);
+  assert.throws(() => store.create(' Padded ', getDefaults()), /Profile names/);
+  assert.throws(() => store.create('', getDefaults()), /Profile names/);
+  assert.throws(() => store.remove('Default'), /last profile/);
+}));
+
+test('the active profile follows live settings and survives a reload', () => withStore((store) => {
+  const settings = getDefaults();
+  store.load(settings);
+  store.create('Presenting', settings);
+  store.setActive('Presenting');
+  store.syncActive({ ...settings, appearance: { ...settings.appearance, theme: 'light' } });
+
+  const reloaded = new ProfileStore({ userDataPath: path.dirname(store.filePath) });
+  reloaded.load(getDefaults());
+
+  assert.equal(reloaded.list().active, 'Presenting');
+  assert.equal(reloaded.get('Presenting').appearance.theme, 'light');
+  assert.equal(reloaded.get('Default').appearance.theme, 'dark');
+}));
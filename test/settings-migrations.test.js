@@ -0,0 +1,136 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  SCHEMA_VERSION,
+  MIGRATIONS,
+  getFileVersion,
+  migrateSettings,
+  versionSettings,
+  parseSettingsExport
+} = require('../src/main/settings-migrations');
+const { getDefaults, normalizeSettings } = require('../src/main/settings-schema');
+const SettingsStore = require('../src/main/settings-store');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'settings');
+
+// Fixture files are named v<version>-<description>.json
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+  .filter((file) => /^v\d+-.+\.json$/.test(file))
+  .map((file) => ({
+    file,
+    version: Number(file.match(/^v(\d+)-/)[1]),
+    data: JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'))
+  }));
+
+function makeTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'flexcore-settings-'));
+}
+
+test('migrations are ordered and end at the current schema version', () => {
+  const versions = MIGRATIONS.map((migration) => migration.version);
+  assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+  assert.equal(versions[versions.length - 1], SCHEMA_VERSION);
+});
+
+test('there is a fixture for every past schema version', () => {
+  for (let version = 0; version <= SCHEMA_VERSION; version++) {
+    assert.ok(
+      fixtures.some((fixture) => fixture.version === version),
+      `missing fixture for version ${version}`
+    );
+  }
+});
+
+for (const fixture of fixtures) {
+  test(`${fixture.file} migrates to a valid current settings file`, () => {
+    assert.equal(getFileVersion(fixture.data), fixture.version);
+
+    const result = migrateSettings(fixture.data);
+    assert.equal(result.fromVersion, fixture.version);
+    assert.equal(result.toVersion, SCHEMA_VERSION);
+    assert.equal(result.migrated, fixture.version < SCHEMA_VERSION);
+    assert.equal(result.settings.schemaVersion, undefined);
+
+    const { errors } = normalizeSettings(result.settings);
+    assert.deepEqual(errors, []);
+  });
+
+  test(`${fixture.file} is stable when migrated twice`, () => {
+    const once = migrateSettings(fixture.data).settings;
+    const twice = migrateSettings({ schemaVersion: SCHEMA_VERSION, ...once });
+    assert.equal(twice.migrated, false);
+    assert.deepEqual(twice.settings, once);
+  });
+}
+
+test('files from a newer version are left untouched', () => {
+  const data = { schemaVersion: SCHEMA_VERSION + 1, appearance: { theme: 'light' } };
+  const result = migrateSettings(data);
+  assert.equal(result.migrated, false);
+  assert.deepEqual(result.settings, { appearance: { theme: 'light' } });
+});
+
+test('the store backs up and upgrades an old settings file on read', () => {
+  const dir = makeTempDir();
+  const legacy = fixtures.find((fixture) => fixture.version === 0);
+  const original = JSON.stringify(legacy.data, null, 2);
+  fs.writeFileSync(path.join(dir, 'settings.json'), original);
+
+  try {
+    const store = new SettingsStore({ userDataPath: dir, seedPath: path.join(dir, 'missing.json') });
+    const settings = store.read();
+
+    assert.equal(fs.readFileSync(store.getBackupPath(0), 'utf8'), original);
+
+    const written = JSON.parse(fs.readFileSync(store.filePath, 'utf8'));
+    assert.equal(written.schemaVersion, SCHEMA_VERSION);
+    assert.deepEqual({ ...written, schemaVersion: undefined }, { ...settings, schemaVersion: undefined });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the store seeds a new settings file from the bundled one', () => {
+  const dir = makeTempDir();
+  const seedPath = path.join(__dirname, '..', 'src', 'config', 'settings.json');
+
+  try {
+    const store = new SettingsStore({ userDataPath: dir, seedPath });
+    const settings = store.read();
+
+    assert.ok(fs.existsSync(store.filePath));
+    assert.deepEqual(normalizeSettings(settings).errors, []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// normalizeSettings fills in missing keys, so compare the file itself: a
+// setting missing from it would silently fall back to the schema default
+test('the bundled settings file holds every default and nothing else', () => {
+  const { schemaVersion, ...seed } = require('../src/config/settings.json');
+
+  assert.equal(schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(seed, getDefaults());
+});
+
+test('exported settings import as they were, without being migrated again', () => {
+  const settings = getDefaults();
+  settings.appearance.theme = 'light';
+  const exported = JSON.stringify(versionSettings(settings), null, 2);
+
+  assert.equal(getFileVersion(JSON.parse(exported)), SCHEMA_VERSION);
+
+  const { window, ...expected } = settings;
+  assert.deepEqual(parseSettingsExport(exported), { settings: expected });
+});
+
+test('imports that are not valid settings are reported', () => {
+  assert.deepEqual(parseSettingsExport('[]'), { error: 'Expected a settings object' });
+  assert.ok(parseSettingsExport('{ broken').error);
+  assert.equal(parseSettingsExport(JSON.stringify({ appearance: { theme: 'pink' } })).errors[0].key, 'appearance.theme');
+});
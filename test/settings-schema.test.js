@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getDefaults,
+  validateSetting,
+  validateSettings,
+  normalizeSettings,
+  flattenSettings,
+  diffSettings
+} = require('../src/main/settings-schema');
+
+test('defaults satisfy the schema', () => {
+  assert.deepEqual(validateSettings(getDefaults()), []);
+  assert.deepEqual(normalizeSettings(getDefaults()).errors, []);
+});
+
+test('validateSetting rejects unknown keys and invalid values', () => {
+  assert.equal(validateSetting('appearance.theme', 'light'), null);
+  assert.equal(validateSetting('__proto__.polluted', true).code, 'unknown-key');
+  assert.equal(validateSetting('appearance', {}).code, 'unknown-key');
+  assert.equal(validateSetting('appearance.theme', 'neon').code, 'invalid-value');
+  assert.equal(validateSetting('appearance.accentColor', 'blue').code, 'invalid-format');
+  assert.equal(validateSetting('behavior.alwaysOnTop', 'yes').code, 'invalid-type');
+  assert.equal(validateSetting('window.width', 10).code, 'out-of-range');
+  assert.equal(validateSetting('window.x', null), null);
+  assert.equal(validateSetting('behavior.defaultWindowState', 'last-used'), null);
+  assert.equal(validateSetting('window.display.scaleFactor', 1.5), null);
+  assert.equal(validateSetting('window.display.scaleFactor', 'big').code, 'invalid-type');
+});
+
+test('every shortcut has a scope, global only for showing the app by default', () => {
+  const { keyboardShortcuts, shortcutScopes } = getDefaults().advanced;
+
+  assert.deepEqual(Object.keys(shortcutScopes), Object.keys(keyboardShortcuts));
+  assert.deepEqual(Object.keys(shortcutScopes).filter((action) => shortcutScopes[action] === 'global'), ['show']);
+  assert.equal(validateSetting('advanced.shortcutScopes.hide', 'global'), null);
+  assert.equal(validateSetting('advanced.shortcutScopes.hide', 'system').code, 'invalid-value');
+});
+
+test('validateSettings reports every problem in a partial settings object', () => {
+  const errors = validateSettings({
+    appearance: { theme: 'neon', unknown: 1 },
+    behavior: 'all of them'
+  });
+
+  assert.deepEqual(errors.map((error) => [error.key, error.code]), [
+    ['appearance.theme', 'invalid-value'],
+    ['appearance.unknown', 'unknown-key'],
+    ['behavior', 'invalid-type']
+  ]);
+});
+
+test('normalizeSettings fills in defaults and drops invalid values', () => {
+  const { settings, errors } = normalizeSettings({ appearance: { theme: 'neon' }, extra: true });
+
+  assert.deepEqual(settings, getDefaults());
+  assert.deepEqual(errors.map((error) => error.key), ['appearance.theme', 'extra']);
+});
+
+test('diffSettings lists changed keys only', () => {
+  const current = getDefaults();
+  const changes = diffSettings(current, {
+    appearance: { theme: 'light', fontSize: current.appearance.fontSize },
+    behavior: { alwaysOnTop: true }
+  });
+
+  assert.deepEqual(changes, [
+    { key: 'appearance.theme', from: 'dark', to: 'light' },
+    { key: 'behavior.alwaysOnTop', from: false, to: true }
+  ]);
+});
+
+test('flattenSettings produces dotted keys for nested values', () => {
+  assert.deepEqual(flattenSettings({
+    appearance: { theme: 'light' },
+    advanced: { keyboardShortcuts: { close: 'Ctrl+W' } }
+  }), [
+    ['appearance.theme', 'light'],
+    ['advanced.keyboardShortcuts.close', 'Ctrl+W']
+  ]);
+});
+
+test('diffSettings compares list values by content', () => {
+  const layout = { name: 'Review', x: 0, y: 0, width: 0.5, height: 1 };
+  const current = { ...getDefaults(), layouts: { custom: [layout] } };
+
+  assert.deepEqual(diffSettings(current, structuredClone(current)), []);
+  assert.deepEqual(diffSettings(current, { layouts: { custom: [] } }), [
+    { key: 'layouts.custom', from: [layout], to: [] }
+  ]);
+});
@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SettingsStore = require('../src/main/settings-store');
+const { getDefaults } = require('../src/main/settings-schema');
+
+function withStore(options, run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flexcore-store-'));
+  const store = new SettingsStore({ userDataPath: dir, seedPath: path.join(dir, 'missing.json'), ...options });
+
+  return Promise.resolve(run(store, dir)).finally(() => {
+    store.unwatch();
+    store.flush();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('scheduled writes are coalesced into one write', () => withStore({ writeDelay: 20 }, async (store) => {
+  let writes = 0;
+  const write = store.write.bind(store);
+  store.write = (settings) => {
+    writes++;
+    write(settings);
+  };
+
+  const settings = getDefaults();
+  for (let x = 0; x < 50; x++) {
+    store.scheduleWrite({ ...settings, window: { ...settings.window, x } });
+  }
+  assert.equal(writes, 0);
+
+  await wait(60);
+  assert.equal(writes, 1);
+  assert.equal(store.read().window.x, 49);
+}));
+
+test('flush writes pending settings immediately', () => withStore({ writeDelay: 10000 }, (store) => {
+  store.scheduleWrite(getDefaults());
+  assert.equal(fs.existsSync(store.filePath), false);
+
+  store.flush();
+  assert.deepEqual(store.read(), getDefaults());
+}));
+
+test('writes go through a temp file and keep the previous file as a backup', () => withStore({}, (store) => {
+  const first = getDefaults();
+  const second = { ...first, appearance: { ...first.appearance, theme: 'light' } };
+
+  store.write(first);
+  store.write(second);
+
+  assert.equal(fs.existsSync(store.tempPath), false);
+  assert.equal(store.read().appearance.theme, 'light');
+  assert.equal(JSON.parse(fs.readFileSync(store.lastGoodPath, 'utf8')).appearance.theme, 'dark');
+}));
+
+test('a corrupted file is recovered from the last good backup', () => withStore({}, (store, dir) => {
+  store.write(getDefaults());
+  store.write(getDefaults());
+  fs.writeFileSync(store.filePath, '{"appearance": {"theme": "li');
+
+  assert.deepEqual(store.read(), getDefaults());
+  assert.ok(fs.readdirSync(dir).some((file) => file.startsWith('settings.json.corrupt-')));
+}));
+
+test('a corrupted file without a backup is set aside and reported', () => withStore({}, (store, dir) => {
+  fs.writeFileSync(store.filePath, 'not json');
+
+  assert.throws(() => store.read(), SyntaxError);
+  assert.equal(fs.existsSync(store.filePath), false);
+  assert.ok(fs.readdirSync(dir).some((file) => file.startsWith('settings.json.corrupt-')));
+}));
+
+test('external edits are reported but the store\'s own writes are not', () => withStore({}, async (store) => {
+  const changes = [];
+  store.write(getDefaults());
+  store.watch((data) => changes.push(data), 10);
+
+  store.write({ ...getDefaults(), behavior: { ...getDefaults().behavior, alwaysOnTop: true } });
+  await wait(100);
+  assert.equal(changes.length, 0);
+
+  fs.writeFileSync(store.filePath, JSON.stringify({ appearance: { theme: 'light' } }));
+  await wait(100);
+  assert.deepEqual(changes, [{ appearance: { theme: 'light' } }]);
+
+  fs.writeFileSync(store.filePath, '{ broken');
+  await wait(100);
+  assert.equal(changes.length, 2);
+  assert.ok(changes[1] instanceof SyntaxError);
+}));
+
+test('a write queued before an external edit can be dropped so it does not overwrite the edit', () => withStore({ writeDelay: 10000 }, async (store) => {
+  store.write(getDefaults());
+  store.watch(() => store.cancelPendingWrite(), 10);
+
+  store.scheduleWrite({ ...getDefaults(), behavior: { ...getDefaults().behavior, alwaysOnTop: true } });
+  fs.writeFileSync(store.filePath, JSON.stringify({ appearance: { theme: 'light' } }));
+  await wait(100);
+  store.flush();
+
+  assert.deepEqual(JSON.parse(fs.readFileSync(store.filePath, 'utf8')), { appearance: { theme: 'light' } });
+}));
+
+test('external edits that are not a settings object are reported as errors', () => withStore({}, async (store) => {
+  const changes = [];
+  store.write(getDefaults());
+  store.watch((data) => changes.push(data), 10);
+
+  for (const text of ['null', '[]', '42']) {
+    fs.writeFileSync(store.filePath, text);
+    await wait(100);
+  }
+
+  assert.equal(changes.length, 3);
+  changes.forEach((change) => {
+    assert.ok(change instanceof TypeError);
+    assert.equal(change.message, 'Expected a settings object');
+  });
+}));
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ShortcutDispatcher } = require('../src/main/shortcut-dispatcher');
+
+const ctrl = (letter) => ({
+  type: 'keyDown', key: letter, code: `Key${letter.toUpperCase()}`, control: true, meta: false, alt: false, shift: false
+});
+
+const bindings = [
+  ['minimize', 'Ctrl+M'],
+  ['toggleTheme', 'Ctrl+K Ctrl+T'],
+  ['configs', 'Ctrl+K Ctrl+C'],
+  ['unbound', '']
+];
+
+test('single shortcuts complete on their first key', () => {
+  const dispatcher = new ShortcutDispatcher({ platform: 'linux' });
+
+  assert.deepEqual(dispatcher.handleInput(ctrl('m'), bindings), { action: 'minimize', consumed: true });
+  assert.deepEqual(dispatcher.handleInput(ctrl('q'), bindings), { action: null, consumed: false });
+});
+
+test('chords wait for their next step', () => {
+  const dispatcher = new ShortcutDispatcher({ platform: 'linux' });
+
+  assert.deepEqual(dispatcher.handleInput(ctrl('k'), bindings), { action: null, consumed: true });
+  assert.deepEqual(dispatcher.handleInput({ ...ctrl('Control'), code: 'ControlLeft' }, bindings), { action: null, consumed: false });
+  assert.deepEqual(dispatcher.handleInput(ctrl('t'), bindings), { action: 'toggleTheme', consumed: true });
+  assert.equal(dispatcher.pending, null);
+});
+
+test('a key that does not continue the chord cancels it and is swallowed', () => {
+  const dispatcher = new ShortcutDispatcher({ platform: 'linux' });
+
+  dispatcher.handleInput(ctrl('k'), bindings);
+  assert.deepEqual(dispatcher.handleInput(ctrl('m'), bindings), { action: null, consumed: true });
+  assert.deepEqual(dispatcher.handleInput(ctrl('m'), bindings), { action: 'minimize', consumed: true });
+});
+
+test('incomplete chords time out', async () => {
+  const dispatcher = new ShortcutDispatcher({ timeout: 10, platform: 'linux' });
+
+  dispatcher.handleInput(ctrl('k'), bindings);
+  await new Promise((resolve) => setTimeout(resolve, 30));
+
+  assert.equal(dispatcher.pending, null);
+  assert.deepEqual(dispatcher.handleInput(ctrl('t'), bindings), { action: null, consumed: false });
+});
+
+test('suspended dispatchers let every key through', () => {
+  const dispatcher = new ShortcutDispatcher({ platform: 'linux' });
+
+  dispatcher.handleInput(ctrl('k'), bindings);
+  dispatcher.setSuspended(true);
+  assert.deepEqual(dispatcher.handleInput(ctrl('t'), bindings), { action: null, consumed: false });
+  assert.deepEqual(dispatcher.handleInput(ctrl('m'), bindings), { action: null, consumed: false });
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { formatBadge, renderTrayIcon } = require('../src/main/tray-icon');
+
+// Reads a pixel from a BGRA bitmap as [r, g, b, a]
+function pixelAt({ width, data }, x, y) {
+  const offset = (y * width + x) * 4;
+  return [data[offset + 2], data[offset + 1], data[offset], data[offset + 3]];
+}
+
+test('icons are square BGRA bitmaps of the requested size', () => {
+  const icon = renderTrayIcon({ size: 32 });
+
+  assert.equal(icon.width, 32);
+  assert.equal(icon.height, 32);
+  assert.equal(icon.data.length, 32 * 32 * 4);
+});
+
+test('the logo follows the theme and the status fills the empty slot', () => {
+  const dark = renderTrayIcon({ size: 32, dark: true });
+  const light = renderTrayIcon({ size: 32, dark: false });
+
+  assert.deepEqual(pixelAt(dark, 8, 8), [199, 107, 255, 255]);
+  assert.deepEqual(pixelAt(light, 8, 8), [142, 36, 201, 255]);
+  assert.equal(pixelAt(dark, 22, 8)[3], 0);
+  assert.equal(pixelAt(dark, 0, 0)[3], 0);
+
+  assert.deepEqual(pixelAt(renderTrayIcon({ size: 32, state: 'error' }), 22, 8), [255, 59, 48, 255]);
+  assert.deepEqual(pixelAt(renderTrayIcon({ size: 32, state: 'busy' }), 22, 8), [0, 162, 255, 255]);
+});
+
+test('badge counts are drawn over the status slot', () => {
+  const badged = renderTrayIcon({ size: 32, badgeCount: 3 });
+  const slotPixels = [];
+  for (let y = 5; y < 15; y++) {
+    for (let x = 17; x < 27; x++) {
+      slotPixels.push(pixelAt(badged, x, y).join(','));
+    }
+  }
+
+  assert.ok(slotPixels.includes('255,59,48,255'));
+  assert.ok(slotPixels.includes('255,255,255,255'));
+});
+
+test('badge text is capped at two characters', () => {
+  assert.equal(formatBadge(0), '');
+  assert.equal(formatBadge(7), '7');
+  assert.equal(formatBadge(42), '9+');
+  assert.equal(formatBadge(-1), '');
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { fitBoundsToDisplays } = require('../src/main/window-bounds');
+
+const laptop = { id: 1, scaleFactor: 2, workArea: { x: 0, y: 0, width: 1440, height: 875 } };
+const monitor = { id: 2, scaleFactor: 1, workArea: { x: 1440, y: 0, width: 2560, height: 1400 } };
+
+test('bounds on a connected display are kept as they are', () => {
+  const bounds = { x: 1600, y: 100, width: 1200, height: 800 };
+
+  assert.deepEqual(fitBoundsToDisplays(bounds, monitor, [laptop, monitor], laptop), bounds);
+});
+
+test('bounds from an unplugged display are re-centered on the primary display', () => {
+  const bounds = { x: 1600, y: 100, width: 1200, height: 800 };
+
+  assert.deepEqual(fitBoundsToDisplays(bounds, monitor, [laptop], laptop), {
+    x: 120, y: 38, width: 1200, height: 800
+  });
+});
+
+test('a window that is partly off-screen is clamped into the display it overlaps most', () => {
+  const bounds = { x: 1000, y: -50, width: 1200, height: 1000 };
+
+  assert.deepEqual(fitBoundsToDisplays(bounds, null, [laptop], laptop), {
+    x: 240, y: 0, width: 1200, height: 875
+  });
+});
+
+test('a rearranged monitor keeps the window at the same spot on it', () => {
+  const moved = { ...monitor, workArea: { ...monitor.workArea, x: -2560 } };
+  const bounds = { x: 1600, y: 100, width: 1200, height: 800 };
+
+  assert.deepEqual(fitBoundsToDisplays(bounds, monitor, [laptop, moved], laptop), {
+    x: -2400, y: 100, width: 1200, height: 800
+  });
+});
+
+test('a reconnected monitor with a new id is matched by its size and scale', () => {
+  const reconnected = { ...monitor, id: 7 };
+  const bounds = { x: 2000, y: 500, width: 1200, height: 800 };
+
+  assert.deepEqual(fitBoundsToDisplays(bounds, monitor, [laptop, reconnected], laptop), bounds);
+});
+
+test('bounds that were never positioned are centered on the primary display', () => {
+  assert.deepEqual(fitBoundsToDisplays({ x: null, y: null, width: 1200, height: 800 }, null, [laptop, monitor], laptop), {
+    x: 120, y: 38, width: 1200, height: 800
+  });
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findLayout, getLayoutBounds, createLayout, listLayouts } = require('../src/main/window-layouts');
+const { validateSetting } = require('../src/main/settings-schema');
+
+const workArea = { x: 1440, y: 25, width: 2560, height: 1375 };
+
+test('built-in layouts are placed within the work area', () => {
+  assert.deepEqual(getLayoutBounds(findLayout('left-half'), workArea), { x: 1440, y: 25, width: 1280, height: 1375 });
+  assert.deepEqual(getLayoutBounds(findLayout('right-half'), workArea), { x: 2720, y: 25, width: 1280, height: 1375 });
+  assert.deepEqual(getLayoutBounds(findLayout('center'), workArea), { x: 1696, y: 163, width: 2048, height: 1100 });
+  assert.deepEqual(getLayoutBounds(findLayout('top-right-quarter'), workArea), { x: 2720, y: 25, width: 1280, height: 688 });
+});
+
+test('custom layouts round-trip through settings and keep their own ids', () => {
+  const bounds = { x: 1540, y: 125, width: 1000, height: 700 };
+  const layout = createLayout('Review', bounds, workArea);
+
+  assert.equal(validateSetting('layouts.custom', [layout]), null);
+  assert.deepEqual(getLayoutBounds(findLayout('custom:Review', [layout]), workArea), bounds);
+  assert.deepEqual(listLayouts([layout]).map(({ id }) => id), [
+    'left-half', 'right-half', 'center', 'top-right-quarter', 'custom:Review'
+  ]);
+});
+
+test('invalid custom layouts are rejected by the schema', () => {
+  const layout = { name: 'Wide', x: 0, y: 0, width: 1, height: 1 };
+
+  assert.equal(validateSetting('layouts.custom', [layout, layout]).code, 'invalid-value');
+  assert.equal(validateSetting('layouts.custom', [{ ...layout, width: 2 }]).code, 'out-of-range');
+  assert.equal(validateSetting('layouts.custom', [{ ...layout, extra: true }]).code, 'unknown-key');
+  assert.equal(validateSetting('layouts.custom', [{ ...layout, name: '' }]).code, 'out-of-range');
+  assert.equal(validateSetting('layouts.custom', {}).code, 'invalid-type');
+});